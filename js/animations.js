@@ -111,45 +111,62 @@ const Animations = (function() {
      * @param {HTMLElement} from - Source element
      * @param {HTMLElement} to - Target element
      * @param {string} id - Arrow ID
+     * @param {Object} options - { className, marker, color, animate } for other arrow styles
      */
-    function drawArrow(svg, from, to, id) {
+    function drawArrow(svg, from, to, id, options = {}) {
+        const {
+            className = 'heap-arrow',
+            marker = 'arrowhead',
+            color = '#a855f7',
+            animate = true
+        } = options;
+
         // Ensure defs and marker exist
         let defs = svg.querySelector('defs');
         if (!defs) {
             defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-            const marker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
-            marker.setAttribute('id', 'arrowhead');
-            marker.setAttribute('markerWidth', '10');
-            marker.setAttribute('markerHeight', '7');
-            marker.setAttribute('refX', '9');
-            marker.setAttribute('refY', '3.5');
-            marker.setAttribute('orient', 'auto');
+            svg.appendChild(defs);
+        }
+        if (!defs.querySelector(`#${marker}`)) {
+            const markerEl = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
+            markerEl.setAttribute('id', marker);
+            markerEl.setAttribute('markerWidth', '10');
+            markerEl.setAttribute('markerHeight', '7');
+            markerEl.setAttribute('refX', '9');
+            markerEl.setAttribute('refY', '3.5');
+            markerEl.setAttribute('orient', 'auto');
             
             const polygon = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
             polygon.setAttribute('points', '0 0, 10 3.5, 0 7');
-            polygon.setAttribute('fill', '#a855f7');
+            polygon.setAttribute('fill', color);
             
-            marker.appendChild(polygon);
-            defs.appendChild(marker);
-            svg.appendChild(defs);
+            markerEl.appendChild(polygon);
+            defs.appendChild(markerEl);
         }
         
         const fromRect = from.getBoundingClientRect();
         const toRect = to.getBoundingClientRect();
         const svgRect = svg.getBoundingClientRect();
         
-        const x1 = fromRect.right - svgRect.left;
+        // Leave from the side facing the target, so backward links don't cross their source
+        const forward = toRect.left + toRect.width / 2 >= fromRect.left + fromRect.width / 2;
+        const x1 = (forward ? fromRect.right : fromRect.left) - svgRect.left;
         const y1 = fromRect.top + fromRect.height / 2 - svgRect.top;
-        const x2 = toRect.left - svgRect.left;
+        const x2 = (forward ? toRect.left : toRect.right) - svgRect.left;
         const y2 = toRect.top + toRect.height / 2 - svgRect.top;
         
         // Create curved path
         const midX = (x1 + x2) / 2;
         const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
         path.setAttribute('id', id);
-        path.setAttribute('class', 'heap-arrow');
+        path.setAttribute('class', className);
         path.setAttribute('d', `M ${x1} ${y1} Q ${midX} ${y1}, ${midX} ${(y1 + y2) / 2} T ${x2} ${y2}`);
-        path.setAttribute('marker-end', 'url(#arrowhead)');
+        path.setAttribute('marker-end', `url(#${marker})`);
+        
+        if (!animate) {
+            svg.appendChild(path);
+            return path;
+        }
         
         // Animate drawing
         const length = path.getTotalLength ? path.getTotalLength() : 100;
@@ -328,19 +345,21 @@ const Animations = (function() {
     /**
      * Countdown timer animation for Web API tasks
      * @param {HTMLElement} element - Timer element
-     * @param {number} duration - Duration in ms
+     * @param {number} from - Milliseconds shown at the start
+     * @param {number} to - Milliseconds shown at the end
+     * @param {number} duration - Animation length in ms
      */
-    function countdownTimer(element, duration) {
+    function countdownTimer(element, from, to, duration) {
         return new Promise(resolve => {
             const startTime = Date.now();
             
             function update() {
-                const elapsed = Date.now() - startTime;
-                const remaining = Math.max(0, duration - elapsed);
+                const progress = duration > 0 ? Math.min((Date.now() - startTime) / duration, 1) : 1;
+                const remaining = from + (to - from) * progress;
                 
-                element.textContent = `${(remaining / 1000).toFixed(1)}s`;
+                element.textContent = `${Math.round(remaining)}ms`;
                 
-                if (remaining > 0) {
+                if (progress < 1) {
                     requestAnimationFrame(update);
                 } else {
                     resolve();
@@ -11,512 +11,3245 @@ const Executor = (function() {
     let isRunning = false;
     let isPaused = false;
     let stepResolve = null;
-    let pendingTimers = [];
+    let dequeuedCallback = null; // callback taken off the queue and about to run
     let pendingMicrotasks = [];
 
+    // scopeId -> { func, homeObject, instance } for class code, where `super` resolves
+    const callContexts = new Map();
+
+    // Function scope id -> async function call that has not finished yet
+    const coroutines = new Map();
+
+    // Garbage collector roots the evaluator holds: functions whose bodies are
+    // running, and per in-progress statement its allocation ranges and pinned values
+    let activeFunctions = [];
+    let statementRoots = [];
+    let allocationsAtLastCollection = 0;
+    let isCollecting = false;
+
+    // The exception propagating right now, rooted until it is caught or reported
+    let thrownValue;
+
+    // Built-in global name (Error, Promise, ...) -> native constructor, allocated on first use
+    const builtInConstructors = new Map();
+
+    // Rejected promises nothing has handled yet -> rejection reason, reported
+    // once the microtask queue drains
+    const unhandledRejections = new Map();
+
+    // Function declarations in sloppy-mode blocks, which also assign the var
+    // of the same name in the enclosing function when their block runs
+    const varScopedBlockFunctions = new WeakSet();
+
+    /**
+     * Read-only globals resolved without a scope lookup
+     */
+    const GLOBAL_VALUES = { undefined: undefined, NaN: NaN, Infinity: Infinity };
+
+    /**
+     * Globals naming the global object, the same object top-level `this` is;
+     * unlike GLOBAL_VALUES, user bindings may shadow them
+     */
+    const GLOBAL_OBJECT_NAMES = ['window', 'globalThis'];
+
+    /**
+     * Built-in prototypes, the heap type that links to each, and the native
+     * methods simulated on them
+     */
+    const INTRINSICS = [
+        { name: 'Object.prototype', type: 'object', methods: ['hasOwnProperty', 'toString'] },
+        { name: 'Function.prototype', type: 'function', methods: ['call', 'apply', 'bind'] },
+        {
+            name: 'Array.prototype',
+            type: 'array',
+            methods: ['push', 'pop', 'join', 'indexOf', 'includes', 'forEach', 'map', 'filter', 'reduce']
+        }
+    ];
+
+    /**
+     * Built-in error constructors; every type but Error inherits from Error
+     */
+    const ERROR_TYPES = ['Error', 'TypeError', 'RangeError', 'ReferenceError', 'SyntaxError', 'AggregateError'];
+
+    /**
+     * Native methods of Promise.prototype and static methods of Promise
+     */
+    const PROMISE_METHODS = {
+        prototype: ['then', 'catch', 'finally'],
+        statics: ['resolve', 'reject', 'all', 'allSettled', 'race', 'any']
+    };
+
+    /**
+     * Timer functions handled by the Web APIs section rather than a heap object
+     */
+    const TIMER_FUNCTIONS = ['setTimeout', 'setInterval', 'clearTimeout', 'clearInterval'];
+
+    /**
+     * Frames recorded in an error's stack, like V8's default Error.stackTraceLimit
+     */
+    const STACK_TRACE_LIMIT = 10;
+
+    /**
+     * Completion types that interrupt normal statement flow
+     */
+    const Completion = {
+        BREAK: 'break',
+        CONTINUE: 'continue',
+        RETURN: 'return',
+        THROW: 'throw' // thrown as a JS exception rather than returned
+    };
+
+    /**
+     * Thrown by a `?.` link whose base is null or undefined; the enclosing
+     * ChainExpression turns it into `undefined`
+     */
+    const SHORT_CIRCUIT = Object.freeze({ type: 'short-circuit' });
+
     /**
-     * Initialize executor with parsed instructions
+     * Initialize executor with a parsed Program
      */
-    function init(parsedInstructions) {
-        instructions = parsedInstructions;
+    function init(program) {
+        instructions = Parser.hoist(program.body, false, hasUseStrict(program.body));
         currentIndex = 0;
         executionStack = [];
-        pendingTimers = [];
+        dequeuedCallback = null;
         pendingMicrotasks = [];
+        callContexts.clear();
+        activeFunctions = [];
+        statementRoots = [];
+        allocationsAtLastCollection = 0;
+        isCollecting = false;
+        thrownValue = undefined;
+        builtInConstructors.clear();
+        unhandledRejections.clear();
+        coroutines.clear();
+        createIntrinsics();
         
         // Create global execution context
         globalScope = StateManager.createScope('Global', 'global');
+        StateManager.addScopeVariable(globalScope.id, 'this', StateManager.GLOBAL_OBJECT, 'object', 'this');
         StateManager.pushCallStack({
             name: 'Global Execution Context',
             type: 'global',
             variables: {},
             thisBinding: 'window',
+            thisRule: 'global',
+            strict: hasUseStrict(program.body),
             line: 0
         });
     }
 
+    /**
+     * Allocate the built-in prototypes, then their native methods (which
+     * link to Function.prototype like any other function)
+     */
+    function createIntrinsics() {
+        let objectPrototype = null;
+        const prototypes = INTRINSICS.map(({ name, type }) => {
+            const ref = StateManager.allocateIntrinsic(name, type, {}, objectPrototype);
+            objectPrototype = objectPrototype || ref;
+            return ref;
+        });
+
+        INTRINSICS.forEach(({ name, methods }, i) => {
+            methods.forEach(method => {
+                const native = `${name}.${method}`;
+                const func = StateManager.allocateHeap('function', {
+                    name: method,
+                    params: [],
+                    native,
+                    properties: {},
+                    closure: null
+                }, `ref_${native}`);
+                StateManager.setHeapProperty(prototypes[i], method, func);
+            });
+        });
+    }
+
     /**
      * Execute next instruction
      */
     async function step() {
         if (currentIndex >= instructions.length) {
-            // Check for pending async tasks
-            await processEventLoop();
-            return false;
+            // Script done: each further step is one turn of the event loop
+            return processEventLoop();
         }
 
         const instruction = instructions[currentIndex];
-        StateManager.setCurrentLine(instruction.line);
+        StateManager.setCurrentLine(getLine(instruction));
         StateManager.incrementStep();
         
-        await executeInstruction(instruction);
-        currentIndex++;
+        try {
+            await runStatement(instruction);
+            currentIndex++;
+        } catch (error) {
+            if (!isThrowCompletion(error)) throw error;
+            // Nothing caught it: the rest of the script is abandoned
+            unwindScopes(globalScope.id, error.value);
+            reportUncaught(error.value);
+            currentIndex = instructions.length;
+        }
         
         return currentIndex < instructions.length || hasPendingTasks();
     }
 
     /**
-     * Execute a single instruction
+     * Execute a single statement node
+     * @returns {Object|undefined} Abrupt completion ({type}) or undefined
      */
     async function executeInstruction(instruction) {
-        const state = StateManager.getState();
-        
         switch (instruction.type) {
-            case 'hoistingPhase':
+            case 'HoistingPhase':
                 await executeHoisting(instruction);
                 break;
                 
-            case 'functionDeclaration':
+            case 'FunctionDeclaration':
                 await executeFunctionDeclaration(instruction);
                 break;
                 
-            case 'hoistedVar':
+            case 'ClassDeclaration':
+                await executeClassDeclaration(instruction);
+                break;
+                
+            case 'HoistedVar':
                 await executeHoistedVar(instruction);
                 break;
                 
-            case 'variableDeclaration':
+            case 'VariableDeclaration':
                 await executeVariableDeclaration(instruction);
                 break;
                 
-            case 'assignment':
-                await executeAssignment(instruction);
+            case 'ExpressionStatement':
+                await resolveValue(instruction.expression);
                 break;
                 
-            case 'functionCall':
-                await executeFunctionCall(instruction);
-                break;
+            case 'ReturnStatement':
+                return executeReturn(instruction);
                 
-            case 'methodCall':
-                await executeMethodCall(instruction);
-                break;
+            case 'BlockStatement':
+                return executeBlock(instruction.body, getLine(instruction));
                 
-            case 'console':
-                await executeConsole(instruction);
-                break;
+            case 'IfStatement':
+                return executeIf(instruction);
                 
-            case 'setTimeout':
-                await executeSetTimeout(instruction);
-                break;
+            case 'SwitchStatement':
+                return executeSwitch(instruction);
                 
-            case 'promise':
-                await executePromise(instruction);
-                break;
+            case 'ForStatement':
+                return executeFor(instruction);
                 
-            case 'return':
-                await executeReturn(instruction);
-                break;
+            case 'ForInStatement':
+            case 'ForOfStatement':
+                return executeForInOf(instruction);
                 
-            case 'newObject':
-                await executeNewObject(instruction);
-                break;
+            case 'WhileStatement':
+                return executeWhile(instruction);
+                
+            case 'DoWhileStatement':
+                return executeDoWhile(instruction);
+                
+            case 'BreakStatement':
+                return { type: Completion.BREAK };
+                
+            case 'ContinueStatement':
+                return { type: Completion.CONTINUE };
+                
+            case 'ThrowStatement':
+                return executeThrow(instruction);
+                
+            case 'TryStatement':
+                return executeTry(instruction);
         }
+        return undefined;
     }
 
     /**
-     * Execute hoisting phase visualization
+     * Execute a list of statements, one visual step each
+     * @returns {Object|undefined} The first abrupt completion, which stops the list
      */
-    async function executeHoisting(instruction) {
-        StateManager.logConsole('info', `Hoisting: Functions [${instruction.functions.join(', ')}], Vars [${instruction.vars.join(', ')}]`);
+    async function executeStatements(statements, fallbackLine) {
+        for (const statement of statements) {
+            StateManager.setCurrentLine(getLine(statement) || fallbackLine);
+            const completion = await runStatement(statement);
+            await delay();
+            if (completion) return completion;
+        }
+        return undefined;
     }
 
     /**
-     * Execute function declaration
+     * Execute the statement(s) of a branch
      */
-    async function executeFunctionDeclaration(instruction) {
-        // Store function in heap
-        const funcId = StateManager.allocateHeap('function', {
-            name: instruction.name,
-            params: instruction.params,
-            body: instruction.body,
-            closure: getCurrentScopeId()
-        });
-        
-        // Add to current scope
-        StateManager.addScopeVariable(
-            getCurrentScopeId(),
-            instruction.name,
-            funcId,
-            'function',
-            'function'
-        );
-        
-        // Update call stack frame
-        StateManager.updateFrameVariable(instruction.name, `[Function: ${instruction.name}]`, 'function');
+    async function executeBranch(statement) {
+        if (statement.type === 'BlockStatement') {
+            return executeBlock(statement.body, getLine(statement));
+        }
+        return executeStatements([statement], getLine(statement));
     }
 
     /**
-     * Execute hoisted var (undefined initialization)
+     * Execute a `{}` block, in its own block scope if it declares anything
      */
-    async function executeHoistedVar(instruction) {
-        StateManager.addScopeVariable(
-            getCurrentScopeId(),
-            instruction.name,
-            undefined,
-            'undefined',
-            'var'
-        );
-        StateManager.updateFrameVariable(instruction.name, 'undefined', 'undefined');
+    async function executeBlock(statements, line) {
+        const body = Parser.hoist(statements, true);
+        const blockScope = openBlockScope(body, `Block (line ${line})`);
+        const completion = await executeStatements(body, line);
+        if (blockScope) releaseScope(blockScope.id, completion && completion.value);
+        return completion;
     }
 
     /**
-     * Execute variable declaration
+     * Create a block scope when hoisted statements declare let/const or functions.
+     * Like DevTools, blocks without declarations do not get a scope of their own.
      */
-    async function executeVariableDeclaration(instruction) {
-        const value = await resolveValue(instruction.value);
-        const valueType = getValueType(value);
-        
-        // For objects/arrays/functions, store in heap
-        let storedValue = value;
-        if (typeof value === 'object' && value !== null) {
-            const heapId = StateManager.allocateHeap(
-                Array.isArray(value) ? 'array' : 'object',
-                value
-            );
-            storedValue = heapId;
-        }
-        
-        StateManager.addScopeVariable(
-            getCurrentScopeId(),
-            instruction.name,
-            storedValue,
-            valueType,
-            instruction.declarationType
-        );
-        
-        StateManager.updateFrameVariable(
-            instruction.name, 
-            formatValue(value), 
-            valueType
-        );
+    function openBlockScope(hoisted, name) {
+        if (hoisted.length === 0 || hoisted[0].type !== 'HoistingPhase') return null;
+        return StateManager.createScope(name, 'block', getCurrentScopeId());
     }
 
     /**
-     * Execute assignment
+     * Copy a for loop's let bindings into a fresh scope for the next iteration,
+     * so closures created in earlier iterations keep their own values
      */
-    async function executeAssignment(instruction) {
-        const value = await resolveValue(instruction.value);
-        const valueType = getValueType(value);
-        
-        StateManager.updateScopeVariable(
-            findVariableScope(instruction.name),
-            instruction.name,
-            value
-        );
-        
-        StateManager.updateFrameVariable(instruction.name, formatValue(value), valueType);
+    function nextIterationScope(scope) {
+        const next = StateManager.createScope(scope.name, 'block', scope.parentId);
+        Object.entries(scope.variables).forEach(([name, info]) => {
+            StateManager.addScopeVariable(next.id, name, info.value, info.type, info.declarationType);
+        });
+        releaseScope(scope.id);
+        return next;
     }
 
     /**
-     * Execute function call
+     * Execute if/else, dimming the branch that is not taken
      */
-    async function executeFunctionCall(instruction) {
-        const func = findFunction(instruction.name);
-        if (!func) {
-            StateManager.logConsole('error', `ReferenceError: ${instruction.name} is not defined`);
-            return;
-        }
-        
-        // Resolve arguments
-        const args = await Promise.all(instruction.args.map(arg => resolveValue(arg)));
-        
-        // Create new execution context
-        const funcScope = StateManager.createScope(instruction.name, 'function', getCurrentScopeId());
-        
-        // Push call stack frame
-        const frame = StateManager.pushCallStack({
-            name: instruction.name,
-            type: 'function',
-            variables: {},
-            thisBinding: 'window', // Default this binding
-            line: func.line
-        });
-        
-        // Bind parameters
-        func.params.forEach((param, i) => {
-            const value = args[i] !== undefined ? args[i] : undefined;
-            StateManager.addScopeVariable(funcScope.id, param, value, getValueType(value), 'param');
-            StateManager.updateFrameVariable(param, formatValue(value), getValueType(value));
-        });
-        
-        // Execute function body
-        if (func.body) {
-            const bodyInstructions = Parser.parseBody(func.body);
-            for (const bodyInst of bodyInstructions) {
-                StateManager.setCurrentLine(bodyInst.line || func.line);
-                await executeInstruction(bodyInst);
+    async function executeIf(instruction) {
+        const test = toBoolean(await resolveValue(instruction.test));
+        const taken = test ? instruction.consequent : instruction.alternate;
+        const skipped = test ? instruction.alternate : instruction.consequent;
+
+        StateManager.setSkippedBranch(getBranchKey(instruction), skipped ? getLineRange(skipped) : null);
+        if (!taken) return undefined;
+
+        await delay();
+        return executeBranch(taken);
+    }
+
+    /**
+     * Run a loop body until `hasNext` fails, counting iterations
+     * @param {Object} instruction - Loop statement node
+     * @param {function} hasNext - Async test run before each iteration
+     * @param {function} afterEach - Async update run after each iteration
+     * @param {boolean} testFirst - False for do...while
+     */
+    async function runLoop(instruction, hasNext, afterEach = null, testFirst = true) {
+        const key = getBranchKey(instruction);
+        const line = getLine(instruction);
+        const limit = StateManager.getState().loopIterationLimit;
+        let count = 0;
+
+        try {
+            while (true) {
+                if (testFirst || count > 0) {
+                    StateManager.setCurrentLine(line);
+                    if (!(await hasNext())) break;
+                }
+
+                if (count >= limit) {
+                    StateManager.logConsole('error', `RangeError: Loop at line ${line} exceeded the iteration limit (${limit}) and was stopped`);
+                    break;
+                }
+
+                count++;
+                StateManager.setLoopIteration(key, { line, count });
                 await delay();
+
+                const completion = await executeBranch(instruction.body);
+                if (completion && completion.type === Completion.BREAK) break;
+                if (completion && completion.type !== Completion.CONTINUE) return completion;
+
+                if (afterEach) await afterEach();
             }
+        } finally {
+            StateManager.setLoopIteration(key, null);
         }
-        
-        // Pop execution context
-        StateManager.popCallStack();
-        StateManager.destroyScope(funcScope.id);
+
+        return undefined;
     }
 
     /**
-     * Execute method call
+     * Execute a classic for loop
      */
-    async function executeMethodCall(instruction) {
-        if (instruction.object === 'console') {
-            await executeConsole({
-                method: instruction.method,
-                args: instruction.args,
-                line: instruction.line
-            });
+    async function executeFor(instruction) {
+        const { init, test, update } = instruction;
+        const perIteration = init && init.type === 'VariableDeclaration' && init.kind !== 'var';
+        let iterationScope = null;
+
+        if (perIteration) {
+            iterationScope = StateManager.createScope(`for (line ${getLine(instruction)})`, 'block', getCurrentScopeId());
+            declareLexicals(collectDeclaredNames(init));
+            await executeVariableDeclaration(init);
+            iterationScope = nextIterationScope(iterationScope);
+        } else if (init && init.type === 'VariableDeclaration') {
+            await executeVariableDeclaration(init);
+        } else if (init) {
+            await resolveValue(init);
         }
+
+        const completion = await runLoop(
+            instruction,
+            async () => !test || toBoolean(await resolveValue(test)),
+            perIteration || update ? async () => {
+                if (perIteration) iterationScope = nextIterationScope(iterationScope);
+                if (update) await resolveValue(update);
+            } : null
+        );
+
+        if (iterationScope) releaseScope(iterationScope.id, completion && completion.value);
+        return completion;
     }
 
     /**
-     * Execute console methods
+     * Execute while loop
      */
-    async function executeConsole(instruction) {
-        const args = await Promise.all(instruction.args.map(arg => resolveValue(arg)));
-        const formatted = args.map(formatValue).join(' ');
-        StateManager.logConsole(instruction.method, formatted);
+    async function executeWhile(instruction) {
+        return runLoop(instruction, async () => toBoolean(await resolveValue(instruction.test)));
     }
 
     /**
-     * Execute setTimeout
+     * Execute do...while loop (body runs before the first test)
      */
-    async function executeSetTimeout(instruction) {
-        const taskId = Date.now() + Math.random();
-        
-        // Add to Web APIs
-        const task = StateManager.addToWebAPI({
-            id: taskId,
-            name: `setTimeout`,
-            callback: instruction.callback,
-            delay: instruction.delay,
-            type: 'timer'
-        });
-        
-        StateManager.logConsole('info', `setTimeout registered (${instruction.delay}ms)`);
-        
-        // Schedule move to callback queue
-        const timerId = setTimeout(() => {
-            StateManager.moveToCallbackQueue(task.id);
-        }, Math.min(instruction.delay, StateManager.getState().speed));
-        
-        StateManager.addTimer(timerId);
-        pendingTimers.push({ id: taskId, callback: instruction.callback });
+    async function executeDoWhile(instruction) {
+        return runLoop(instruction, async () => toBoolean(await resolveValue(instruction.test)), null, false);
     }
 
     /**
-     * Execute Promise.resolve().then()
+     * Execute for...of (values) or for...in (keys)
      */
-    async function executePromise(instruction) {
-        // Add to microtask queue immediately
-        StateManager.addToMicrotaskQueue({
-            name: 'Promise.then',
-            callback: instruction.callback
-        });
-        
-        StateManager.logConsole('info', 'Promise.then added to microtask queue');
-        pendingMicrotasks.push({ callback: instruction.callback });
+    async function executeForInOf(instruction) {
+        const subject = await resolveValue(instruction.right);
+        const isOf = instruction.type === 'ForOfStatement';
+        const items = isOf ? getIterableValues(subject) : getEnumerableKeys(subject);
+
+        if (!items) {
+            throwError('TypeError', `${formatValue(subject)} is not iterable`);
+        }
+
+        // let/const loop variables get a fresh scope per iteration
+        const perIteration = instruction.left.type === 'VariableDeclaration' && instruction.left.kind !== 'var';
+        const scopeName = `for (line ${getLine(instruction)})`;
+        let iterationScope = null;
+        let position = 0;
+
+        const completion = await runLoop(instruction, async () => {
+            if (position >= items.length) return false;
+            if (perIteration) iterationScope = StateManager.createScope(scopeName, 'block', getCurrentScopeId());
+            await bindLoopVariable(instruction.left, items[position++]);
+            return true;
+        }, perIteration ? async () => {
+            releaseScope(iterationScope.id);
+            iterationScope = null;
+        } : null);
+
+        if (iterationScope) releaseScope(iterationScope.id, completion && completion.value);
+        return completion;
     }
 
     /**
-     * Execute return statement
+     * Assign the current item to a for-in/of loop variable
      */
-    async function executeReturn(instruction) {
-        const value = await resolveValue(instruction.value);
-        StateManager.logConsole('log', `Return: ${formatValue(value)}`);
+    async function bindLoopVariable(left, value) {
+        if (left.type === 'VariableDeclaration' && left.kind !== 'var') {
+            const name = left.declarations[0].id.name;
+            StateManager.addScopeVariable(getCurrentScopeId(), name, value, getValueType(value), left.kind);
+            StateManager.updateFrameVariable(name, formatValue(value), getValueType(value));
+            return;
+        }
+
+        // A var, a plain name or a member such as `obj.key`, evaluated each iteration
+        const target = await resolveTarget(left.type === 'VariableDeclaration' ? left.declarations[0].id : left);
+        if (target) target.write(value);
     }
 
     /**
-     * Execute new Object creation
+     * Values produced by iterating a value with for...of, or null if not iterable
      */
-    async function executeNewObject(instruction) {
-        const obj = {};
-        const heapId = StateManager.allocateHeap('object', obj);
-        
-        StateManager.addScopeVariable(
-            getCurrentScopeId(),
-            instruction.name,
-            heapId,
-            'object',
-            instruction.declarationType
-        );
-        
-        StateManager.updateFrameVariable(instruction.name, `{...}`, 'object');
+    function getIterableValues(value) {
+        const heapObj = getHeapObject(value);
+        const target = heapObj ? heapObj.value : value;
+        if (Array.isArray(target)) return [...target];
+        if (typeof target === 'string') return [...target];
+        return null;
     }
 
     /**
-     * Process event loop (microtasks and callbacks)
+     * Keys visited by for...in
      */
-    async function processEventLoop() {
-        const state = StateManager.getState();
-        
-        // Process all microtasks first
-        while (state.eventLoop.microtaskQueue.length > 0 || pendingMicrotasks.length > 0) {
-            const task = StateManager.processNextMicrotask();
-            if (task && task.callback) {
-                StateManager.logConsole('info', `Executing microtask: ${task.name}`);
-                await delay();
-                
-                // Execute callback code
-                const callbackInstructions = Parser.parseBody(task.callback);
-                for (const inst of callbackInstructions) {
-                    await executeInstruction(inst);
-                    await delay();
-                }
+    function getEnumerableKeys(value) {
+        if (value === null || value === undefined) return [];
+        const heapObj = getHeapObject(value);
+        if (heapObj && heapObj.type === 'function') return [];
+        const target = heapObj ? heapObj.value : value;
+        if (typeof target === 'object' || typeof target === 'string') return Object.keys(target);
+        return [];
+    }
+
+    /**
+     * Execute switch with fall-through; cases that never run are dimmed
+     */
+    async function executeSwitch(instruction) {
+        const discriminant = await resolveValue(instruction.discriminant);
+        const { cases } = instruction;
+
+        let matched = -1;
+        for (let i = 0; i < cases.length; i++) {
+            if (!cases[i].test) continue;
+            const test = await resolveValue(cases[i].test);
+            if (applyBinaryOperator('===', discriminant, test)) {
+                matched = i;
+                break;
             }
-            pendingMicrotasks.shift();
         }
-        
-        // Process one callback
-        const callbackState = StateManager.getState();
-        if (callbackState.eventLoop.callbackQueue.length > 0 || pendingTimers.length > 0) {
-            const callback = StateManager.processNextCallback();
-            if (callback && callback.callback) {
-                StateManager.logConsole('info', `Executing callback: ${callback.name}`);
-                
-                // Create execution context for callback
-                const callbackScope = StateManager.createScope('setTimeout callback', 'function', globalScope.id);
-                StateManager.pushCallStack({
-                    name: 'setTimeout callback',
-                    type: 'function',
-                    variables: {},
-                    thisBinding: 'window',
-                    line: 0
-                });
-                
-                await delay();
-                
-                // Execute callback code
-                const callbackInstructions = Parser.parseBody(callback.callback);
-                for (const inst of callbackInstructions) {
-                    await executeInstruction(inst);
-                    await delay();
-                }
-                
-                StateManager.popCallStack();
-                StateManager.destroyScope(callbackScope.id);
-            }
-            pendingTimers.shift();
+        if (matched === -1) {
+            matched = cases.findIndex(c => c.test === null);
         }
-        
-        return hasPendingTasks();
+
+        // Everything is dimmed until fall-through reaches it
+        cases.forEach(switchCase => {
+            StateManager.setSkippedBranch(getBranchKey(switchCase), getLineRange(switchCase));
+        });
+        if (matched === -1) return undefined;
+
+        // All cases share one block scope; its functions are hoisted up front
+        const hoisted = Parser.hoist(cases.flatMap(c => c.consequent), true);
+        const switchScope = openBlockScope(hoisted, `switch (line ${getLine(instruction)})`);
+        await executeStatements(hoisted.filter(s => s.type === 'HoistingPhase' || s.type === 'FunctionDeclaration'));
+
+        let completion;
+        for (let i = matched; i < cases.length; i++) {
+            StateManager.setSkippedBranch(getBranchKey(cases[i]), null);
+            StateManager.setCurrentLine(getLine(cases[i]));
+            await delay();
+
+            const consequent = cases[i].consequent.filter(s => s.type !== 'FunctionDeclaration');
+            completion = await executeStatements(consequent, getLine(cases[i]));
+            if (completion) break;
+        }
+
+        if (switchScope) releaseScope(switchScope.id, completion && completion.value);
+        return completion && completion.type === Completion.BREAK ? undefined : completion;
     }
 
     /**
-     * Check if there are pending async tasks
+     * `throw value`: unwinds until a try statement or function frame catches it
      */
-    function hasPendingTasks() {
-        const state = StateManager.getState();
-        return state.eventLoop.webAPIs.length > 0 ||
-               state.eventLoop.callbackQueue.length > 0 ||
-               state.eventLoop.microtaskQueue.length > 0 ||
-               pendingTimers.length > 0 ||
-               pendingMicrotasks.length > 0;
+    async function executeThrow(instruction) {
+        const value = await resolveValue(instruction.argument);
+        throwValue(value);
     }
 
     /**
-     * Resolve a value expression
+     * Execute try/catch/finally. The finally block runs however the others
+     * were left, and its own break/continue/return/throw overrides theirs.
      */
-    async function resolveValue(valueExpr) {
-        if (!valueExpr) return undefined;
-        
-        switch (valueExpr.type) {
-            case 'number':
-            case 'string':
-            case 'boolean':
-            case 'null':
-            case 'undefined':
-                return valueExpr.value;
-                
-            case 'array':
-                return await Promise.all(valueExpr.value.map(v => resolveValue(v)));
-                
-            case 'object':
-                const obj = {};
-                for (const [key, val] of Object.entries(valueExpr.value)) {
-                    obj[key] = await resolveValue(val);
-                }
-                return obj;
-                
-            case 'reference':
-                return lookupVariable(valueExpr.value);
-                
-            case 'call':
-                // Execute function and return result
-                await executeFunctionCall({ name: valueExpr.name, args: valueExpr.args });
-                return undefined; // Simplified - would need return value tracking
-                
-            case 'function':
-            case 'arrowFunction':
-                return valueExpr; // Return function definition
-                
-            default:
-                return valueExpr.value;
+    async function executeTry(instruction) {
+        const { block, handler, finalizer } = instruction;
+        const scopeId = getCurrentScopeId();
+        let completion;
+        let pending = null; // exception still propagating once catch is done
+
+        try {
+            completion = await executeBlock(block.body, getLine(block));
+        } catch (error) {
+            if (!isThrowCompletion(error)) throw error;
+            unwindScopes(scopeId, error.value);
+            pending = error;
+        }
+
+        if (handler) {
+            StateManager.setSkippedBranch(getBranchKey(handler), pending ? null : getLineRange(handler));
+        }
+        if (handler && pending) {
+            const { value } = pending;
+            pending = null;
+            try {
+                completion = await executeCatch(handler, value);
+            } catch (error) {
+                if (!isThrowCompletion(error)) throw error;
+                unwindScopes(scopeId, error.value);
+                pending = error;
+            }
+        }
+
+        if (finalizer) {
+            if (pending) pinValue(pending.value);
+            StateManager.setCurrentLine(getLine(finalizer));
+            await delay();
+            const finalCompletion = await executeBlock(finalizer.body, getLine(finalizer));
+            if (finalCompletion) return finalCompletion;
         }
+        if (pending) throwValue(pending.value);
+        return completion;
     }
 
     /**
-     * Look up variable in scope chain
+     * Run a catch clause with the exception bound to its parameter
      */
-    function lookupVariable(name) {
-        const state = StateManager.getState();
-        
-        // Search from current scope up to global
-        for (let i = state.scopes.length - 1; i >= 0; i--) {
-            const scope = state.scopes[i];
-            if (scope.variables[name] !== undefined) {
-                return scope.variables[name].value;
-            }
+    async function executeCatch(handler, value) {
+        thrownValue = undefined;
+        StateManager.setCurrentLine(getLine(handler));
+        const catchScope = handler.param
+            ? StateManager.createScope(`catch (line ${getLine(handler)})`, 'block', getCurrentScopeId())
+            : null;
+        if (catchScope) {
+            StateManager.addScopeVariable(catchScope.id, handler.param.name, value, getValueType(value), 'let');
         }
-        
-        return undefined;
+        await delay();
+
+        const completion = await executeBlock(handler.body.body, getLine(handler.body));
+        if (catchScope) releaseScope(catchScope.id, completion && completion.value);
+        return completion;
     }
 
     /**
-     * Find variable's scope
+     * Start unwinding with `value` as the exception
      */
-    function findVariableScope(name) {
-        const state = StateManager.getState();
-        
-        for (let i = state.scopes.length - 1; i >= 0; i--) {
-            if (state.scopes[i].variables[name] !== undefined) {
-                return state.scopes[i].id;
-            }
-        }
-        
-        return getCurrentScopeId();
+    function throwValue(value) {
+        thrownValue = value;
+        throw { type: Completion.THROW, value };
     }
 
     /**
-     * Find function definition
+     * Throw a new built-in error, e.g. throwError('TypeError', 'x is not a function')
      */
-    function findFunction(name) {
-        return instructions.find(i => i.type === 'functionDeclaration' && i.name === name);
+    function throwError(type, message) {
+        throwValue(createError(type, message));
     }
 
     /**
-     * Get current scope ID
+     * Whether a caught JS exception is a simulated throw rather than a bug
      */
-    function getCurrentScopeId() {
-        const state = StateManager.getState();
-        return state.scopes.length > 0 ? state.scopes[state.scopes.length - 1].id : null;
+    function isThrowCompletion(error) {
+        return Boolean(error) && error.type === Completion.THROW;
     }
 
     /**
-     * Get value type string
+     * Release the block and function scopes an exception skipped past, until
+     * `scopeId` is the current scope again
+     */
+    function unwindScopes(scopeId, value) {
+        for (let current = getCurrentScopeId(); current && current !== scopeId; current = getCurrentScopeId()) {
+            releaseScope(current, value);
+        }
+    }
+
+    /**
+     * An exception reached the bottom of the stack: log it like the browser does
+     */
+    function reportUncaught(value) {
+        thrownValue = undefined;
+        StateManager.logConsole('error', `Uncaught ${describeException(value)}`);
+    }
+
+    /**
+     * A thrown value as the console prints it: strings raw, errors with their stack
+     */
+    function describeException(value) {
+        return typeof value === 'string' ? value : formatConsoleValue(value);
+    }
+
+    /**
+     * Execute hoisting phase visualization
+     */
+    async function executeHoisting(instruction) {
+        const groups = [];
+        if (instruction.functions.length > 0) groups.push(`Functions [${instruction.functions.join(', ')}]`);
+        if (instruction.vars.length > 0) groups.push(`Vars [${instruction.vars.join(', ')}]`);
+        if (instruction.lexicals.length > 0) groups.push(`TDZ [${instruction.lexicals.map(l => l.name).join(', ')}]`);
+        StateManager.logConsole('info', `Hoisting: ${groups.join(', ')}`);
+
+        instruction.blockFunctions.forEach(declaration => varScopedBlockFunctions.add(declaration));
+        declareLexicals(instruction.lexicals);
+    }
+
+    /**
+     * Put let/const bindings of the current scope in the temporal dead zone
+     */
+    function declareLexicals(lexicals) {
+        const scopeId = getCurrentScopeId();
+        lexicals.forEach(({ name, kind }) => {
+            StateManager.declareUninitialized(scopeId, name, kind);
+            StateManager.updateFrameVariable(name, '<uninitialized>', 'uninitialized');
+        });
+    }
+
+    /**
+     * Names and kinds bound by a variable declaration
+     */
+    function collectDeclaredNames(declaration) {
+        return declaration.declarations.map(d => ({ name: d.id.name, kind: declaration.kind }));
+    }
+
+    /**
+     * Execute function declaration
+     */
+    async function executeFunctionDeclaration(instruction) {
+        const name = instruction.id.name;
+
+        // Store function in heap
+        const funcId = createFunction(instruction);
+        
+        // Add to current scope
+        StateManager.addScopeVariable(
+            getCurrentScopeId(),
+            name,
+            funcId,
+            'function',
+            'function'
+        );
+        
+        // Update call stack frame
+        StateManager.updateFrameVariable(name, formatValue(funcId), 'function');
+
+        // A sloppy-mode block function also lands in the enclosing function's
+        // var of the same name, unless that name is a parameter
+        if (varScopedBlockFunctions.has(instruction)) {
+            const varScopeId = getVarScopeId();
+            const binding = StateManager.getState().scopes.find(scope => scope.id === varScopeId).variables[name];
+            if (binding && binding.declarationType !== 'param') StateManager.updateScopeVariable(varScopeId, name, funcId);
+        }
+    }
+
+    /**
+     * Execute class declaration: the binding leaves the TDZ once the class is built
+     */
+    async function executeClassDeclaration(instruction) {
+        const name = instruction.id.name;
+        const classId = await executeClass(instruction);
+
+        StateManager.addScopeVariable(getCurrentScopeId(), name, classId, 'function', 'class');
+        StateManager.updateFrameVariable(name, formatValue(classId), 'function');
+    }
+
+    /**
+     * Build a class the way the desugared code would: a constructor function,
+     * its prototype object holding the methods, and [[Prototype]] links to
+     * the parent class for `extends`
+     * @returns {string} Heap id of the constructor
+     */
+    async function executeClass(node, name = node.id ? node.id.name : '') {
+        let parent = null;
+        if (node.superClass) {
+            parent = await resolveValue(node.superClass);
+            const parentObj = getHeapObject(parent);
+            if (parent !== null && (!parentObj || parentObj.type !== 'function' || parentObj.value.arrow ||
+                parentObj.value.method)) {
+                throwError('TypeError', `Class extends value ${formatValue(parent)} is not a constructor or null`);
+            }
+        }
+
+        const members = node.body.body;
+        const constructorNode = members.find(member => member.kind === 'constructor');
+        const prototype = StateManager.allocateHeap('object', {});
+        const classId = StateManager.allocateHeap('function', {
+            name,
+            params: constructorNode ? constructorNode.value.params.map(getParamName) : [],
+            body: constructorNode ? constructorNode.value.body : null, // null: implicit constructor
+            expression: false,
+            arrow: false,
+            properties: {},
+            strict: true,
+            line: getLine(constructorNode || node),
+            closure: getCurrentScopeId(),
+            classKind: node.superClass ? 'derived' : 'base',
+            fields: members.filter(member => member.type === 'PropertyDefinition' && !member.static),
+            homeObject: prototype
+        });
+        StateManager.setHeapProperty(classId, 'prototype', prototype);
+        StateManager.setHeapProperty(prototype, 'constructor', classId);
+        StateManager.logConsole('info', `class ${name || '(anonymous)'}: constructor ${classId}, prototype ${prototype}`);
+        await delay();
+
+        if (node.superClass) {
+            // Instances inherit parent methods; the class inherits static ones
+            const superName = describeNode(node.superClass);
+            if (parent === null) {
+                StateManager.setHeapPrototype(prototype, null);
+                StateManager.logConsole('info', `class ${name} extends null: ${prototype}.[[Prototype]] = null`);
+            } else {
+                StateManager.setHeapPrototype(prototype, getProperty(parent, 'prototype'));
+                StateManager.setHeapPrototype(classId, parent);
+                StateManager.logConsole('info',
+                    `class ${name} extends ${superName}: ${prototype}.[[Prototype]] = ${superName}.prototype`);
+            }
+            await delay();
+        }
+
+        // Methods live on the prototype (or on the class itself when static)
+        for (const member of members) {
+            if (member.type !== 'MethodDefinition' || member.kind !== 'method') continue;
+            const home = member.static ? classId : prototype;
+            const key = getPropertyKey(member);
+            StateManager.setHeapProperty(home, key,
+                createFunction(member.value, key, { method: true, homeObject: home, strict: true }));
+        }
+
+        for (const field of members) {
+            if (field.type !== 'PropertyDefinition' || !field.static) continue;
+            const key = getPropertyKey(field);
+            const value = await evaluateWithThis(field.value, key, classId, classId, classId);
+            StateManager.setHeapProperty(classId, key, value);
+        }
+        return classId;
+    }
+
+    /**
+     * Define instance fields on a freshly constructed object, before a base
+     * constructor body runs or right after `super()` returns
+     */
+    async function initializeFields(classId, instance) {
+        const definition = getHeapObject(classId).value;
+        for (const field of definition.fields) {
+            const key = getPropertyKey(field);
+            const value = await evaluateWithThis(field.value, key, instance, classId, definition.homeObject);
+            setProperty(instance, key, value);
+        }
+    }
+
+    /**
+     * Evaluate a field initializer in its own scope, with `this` bound and
+     * `super` resolving against the home object
+     */
+    async function evaluateWithThis(node, name, thisValue, classId, homeObject) {
+        if (!node) return undefined;
+
+        const definition = getHeapObject(classId).value;
+        const scope = StateManager.createScope(`${definition.name || 'class'}.${name}`, 'function', definition.closure);
+        StateManager.addScopeVariable(scope.id, 'this', thisValue, getValueType(thisValue), 'this');
+        callContexts.set(scope.id, { func: classId, homeObject, instance: thisValue });
+
+        const value = await resolveNamedValue(node, name);
+        releaseScope(scope.id, value);
+        return value;
+    }
+
+    /**
+     * `super(...args)`: run the parent constructor on the instance, then
+     * initialize `this` and this class's fields
+     */
+    async function executeSuperCall(node) {
+        const args = await resolveArguments(node.arguments);
+        return constructParent(findCallContext(), args, getLine(node));
+    }
+
+    async function constructParent(context, args, line) {
+        const thisBinding = StateManager.getState().scopes
+            .find(scope => scope.id === context.scopeId).variables.this;
+        if (!thisBinding.uninitialized) {
+            throwError('ReferenceError', 'Super constructor may only be called once');
+        }
+
+        const parent = getHeapObject(context.func).proto;
+        const instance = await executeFunctionCall(parent, args, {
+            label: 'super', line, thisArg: context.instance, thisRule: 'new'
+        });
+
+        StateManager.addScopeVariable(context.scopeId, 'this', instance, getValueType(instance), 'this');
+        StateManager.setFrameThis(formatValue(instance));
+        StateManager.logConsole('info', `super() returned: this = ${instance}`);
+        await initializeFields(context.func, instance);
+        return undefined;
+    }
+
+    /**
+     * Innermost class call context, found along the lexical chain so arrows
+     * inside methods see their method's `super`
+     */
+    function findCallContext() {
+        const scopesById = new Map(StateManager.getState().scopes.map(scope => [scope.id, scope]));
+        for (let scope = scopesById.get(getCurrentScopeId()); scope; scope = scopesById.get(scope.parentId)) {
+            if (callContexts.has(scope.id)) return { scopeId: scope.id, ...callContexts.get(scope.id) };
+        }
+        return null;
+    }
+
+    /**
+     * Object that `super.x` looks up: the [[Prototype]] of the home object
+     */
+    function getSuperBase() {
+        const context = findCallContext();
+        const home = context && getHeapObject(context.homeObject);
+        return home ? home.proto : undefined;
+    }
+
+    /**
+     * Execute hoisted var (undefined initialization)
+     */
+    async function executeHoistedVar(instruction) {
+        // Redeclaring a parameter or function keeps its value
+        const scopeId = getCurrentScopeId();
+        const { variables } = StateManager.getState().scopes.find(scope => scope.id === scopeId);
+        if (hasOwn(variables, instruction.name)) return;
+
+        StateManager.addScopeVariable(
+            scopeId,
+            instruction.name,
+            undefined,
+            'undefined',
+            'var'
+        );
+        StateManager.updateFrameVariable(instruction.name, 'undefined', 'undefined');
+    }
+
+    /**
+     * Execute variable declaration
+     */
+    async function executeVariableDeclaration(instruction) {
+        for (const declarator of instruction.declarations) {
+            // `var x;` keeps the hoisted value
+            if (!declarator.init && instruction.kind === 'var') continue;
+
+            const name = declarator.id.name;
+            const value = await resolveNamedValue(declarator.init, name);
+            const valueType = getValueType(value);
+            
+            // var is function-scoped; let/const belong to the enclosing block
+            StateManager.addScopeVariable(
+                instruction.kind === 'var' ? getVarScopeId() : getCurrentScopeId(),
+                name,
+                value,
+                valueType,
+                instruction.kind
+            );
+            
+            StateManager.updateFrameVariable(
+                name, 
+                formatValue(value), 
+                valueType
+            );
+        }
+    }
+
+    /**
+     * Execute assignment, including compound (`+=`) and logical (`&&=`) forms
+     */
+    async function executeAssignment(node) {
+        const target = await resolveTarget(node.left);
+        if (!target) return undefined;
+
+        const { operator } = node;
+        let value;
+
+        if (operator === '=') {
+            value = await resolveNamedValue(node.right, target.name);
+        } else if (operator === '&&=' || operator === '||=' || operator === '??=') {
+            const current = target.read();
+            const logicalOperator = operator.slice(0, -1);
+            if (!shouldEvaluateRight(logicalOperator, current)) return current;
+            value = await resolveValue(node.right);
+        } else {
+            const current = target.read();
+            value = applyBinaryOperator(operator.slice(0, -1), current, await resolveValue(node.right));
+        }
+
+        target.write(value);
+        return value;
+    }
+
+    /**
+     * Resolve an assignment target to read/write accessors. A member target
+     * evaluates its object once, before the right-hand side.
+     */
+    async function resolveTarget(node) {
+        if (node.type === 'Identifier') {
+            return {
+                name: node.name,
+                read: () => lookupVariable(node.name),
+                write: value => assignVariable(node.name, value)
+            };
+        }
+        if (node.type === 'MemberExpression') {
+            const object = await resolveValue(node.object);
+            const key = await resolveMemberKey(node);
+            return {
+                name: key,
+                read: () => getProperty(object, key),
+                write: value => setProperty(object, key, value)
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Execute `++` / `--`
+     */
+    async function executeUpdate(node) {
+        const target = await resolveTarget(node.argument);
+        if (!target) return undefined;
+
+        const oldValue = toNumber(target.read());
+        const newValue = node.operator === '++' ? oldValue + 1 : oldValue - 1;
+
+        target.write(newValue);
+        return node.prefix ? newValue : oldValue;
+    }
+
+    /**
+     * Store a new value in an existing binding
+     */
+    function assignVariable(name, value) {
+        const scope = resolveBinding(name);
+        if (scope) {
+            const binding = scope.variables[name];
+            if (binding.uninitialized) {
+                throwError('ReferenceError', `Cannot access '${name}' before initialization`);
+            }
+            if (binding.declarationType === 'const') {
+                throwError('TypeError', 'Assignment to constant variable.');
+            }
+            StateManager.updateScopeVariable(scope.id, name, value);
+        } else if (isStrictMode()) {
+            throwError('ReferenceError', `${name} is not defined`);
+        } else {
+            // Sloppy-mode assignment to an undeclared name creates a global
+            StateManager.addScopeVariable(globalScope.id, name, value, getValueType(value), 'var');
+        }
+        
+        // The frame only lists its own locals
+        if (isFrameLocal(scope ? scope.id : globalScope.id)) {
+            StateManager.updateFrameVariable(name, formatValue(value), getValueType(value));
+        }
+    }
+
+    /**
+     * Evaluate a binary expression
+     */
+    async function evaluateBinary(node) {
+        const left = await resolveValue(node.left);
+        const right = await resolveValue(node.right);
+        return applyBinaryOperator(node.operator, left, right);
+    }
+
+    /**
+     * Evaluate `&&`, `||` and `??` with short-circuiting
+     */
+    async function evaluateLogical(node) {
+        const left = await resolveValue(node.left);
+        if (!shouldEvaluateRight(node.operator, left)) return left;
+        return resolveValue(node.right);
+    }
+
+    /**
+     * Whether a logical operator needs its right operand
+     */
+    function shouldEvaluateRight(operator, left) {
+        if (operator === '&&') return toBoolean(left);
+        if (operator === '||') return !toBoolean(left);
+        return isNullish(left);
+    }
+
+    /**
+     * Evaluate a unary expression
+     */
+    async function evaluateUnary(node) {
+        // typeof on an undeclared variable is not an error
+        const value = node.operator === 'typeof' && node.argument.type === 'Identifier'
+            ? lookupVariable(node.argument.name, true)
+            : await resolveValue(node.argument);
+
+        switch (node.operator) {
+            case 'typeof': return typeOf(value);
+            case '!': return !toBoolean(value);
+            case '-': return -toNumber(value);
+            case '+': return toNumber(value);
+            case '~': return ~toNumber(value);
+            case 'void': return undefined;
+            default: return undefined;
+        }
+    }
+
+    /**
+     * Evaluate a template literal
+     */
+    async function evaluateTemplate(node) {
+        let result = node.quasis[0].value.cooked;
+        for (let i = 0; i < node.expressions.length; i++) {
+            const value = await resolveValue(node.expressions[i]);
+            result += toString(value) + node.quasis[i + 1].value.cooked;
+        }
+        return result;
+    }
+
+    /**
+     * Apply a binary operator to two runtime values
+     */
+    function applyBinaryOperator(operator, left, right) {
+        switch (operator) {
+            case '+': {
+                const a = toPrimitive(left);
+                const b = toPrimitive(right);
+                if (typeof a === 'string' || typeof b === 'string') {
+                    return toString(a) + toString(b);
+                }
+                return toNumber(a) + toNumber(b);
+            }
+            case '-': return toNumber(left) - toNumber(right);
+            case '*': return toNumber(left) * toNumber(right);
+            case '/': return toNumber(left) / toNumber(right);
+            case '%': return toNumber(left) % toNumber(right);
+            case '**': return toNumber(left) ** toNumber(right);
+            case '<<': return toNumber(left) << toNumber(right);
+            case '>>': return toNumber(left) >> toNumber(right);
+            case '>>>': return toNumber(left) >>> toNumber(right);
+            case '&': return toNumber(left) & toNumber(right);
+            case '|': return toNumber(left) | toNumber(right);
+            case '^': return toNumber(left) ^ toNumber(right);
+            case '===': return left === right;
+            case '!==': return left !== right;
+            case '==': return looseEquals(left, right);
+            case '!=': return !looseEquals(left, right);
+            case '<': return compare(left, right, (a, b) => a < b);
+            case '>': return compare(left, right, (a, b) => a > b);
+            case '<=': return compare(left, right, (a, b) => a <= b);
+            case '>=': return compare(left, right, (a, b) => a >= b);
+            case 'in': {
+                const heapObj = getHeapObject(right);
+                if (heapObj) return findPropertyOwner(heapObj, toString(left)) !== null;
+                if (typeof right !== 'object' || right === null) return false;
+                return hasOwn(right, toString(left));
+            }
+            case 'instanceof':
+                return isInstanceOf(left, right);
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Relational comparison: strings compare lexically, everything else numerically
+     */
+    function compare(left, right, test) {
+        const a = toPrimitive(left);
+        const b = toPrimitive(right);
+        if (typeof a === 'string' && typeof b === 'string') return test(a, b);
+        return test(toNumber(a), toNumber(b));
+    }
+
+    /**
+     * Abstract equality (`==`)
+     */
+    function looseEquals(left, right) {
+        if (getHeapObject(left) && getHeapObject(right)) return left === right;
+        const a = getHeapObject(left) ? toPrimitive(left) : left;
+        const b = getHeapObject(right) ? toPrimitive(right) : right;
+        // Deliberately loose: the host `==` applies the same coercions to the primitives
+        return a == b;
+    }
+
+    /**
+     * Execute a call expression
+     */
+    async function executeCall(node) {
+        const { callee } = node;
+        const line = getLine(node);
+
+        if (callee.type === 'Identifier' && TIMER_FUNCTIONS.includes(callee.name)) {
+            return callee.name.startsWith('clear')
+                ? executeClearTimer(callee.name, node)
+                : executeSetTimer(callee.name, node);
+        }
+
+        if (callee.type === 'Super') {
+            return executeSuperCall(node);
+        }
+
+        if (callee.type === 'MemberExpression') {
+            if (!callee.computed && callee.object.type === 'Identifier' && callee.object.name === 'console') {
+                return executeMethodCall({
+                    object: callee.object.name,
+                    method: callee.property.name,
+                    args: node.arguments,
+                    line
+                });
+            }
+            return executeMemberCall(node);
+        }
+
+        const func = await resolveValue(callee);
+        if (node.optional && isNullish(func)) throw SHORT_CIRCUIT;
+        const args = await resolveArguments(node.arguments);
+        return executeFunctionCall(func, args, { label: describeNode(callee), line });
+    }
+
+    /**
+     * Call `object.method(...)` with `this` bound to the object; call/apply/bind
+     * are found on Function.prototype like any other inherited method
+     */
+    async function executeMemberCall(node) {
+        const { callee } = node;
+        const line = getLine(node);
+        const object = await resolveValue(callee.object);
+        if (callee.optional && isNullish(object)) throw SHORT_CIRCUIT;
+        const key = await resolveMemberKey(callee);
+        const method = getProperty(object, key);
+        if (node.optional && isNullish(method)) throw SHORT_CIRCUIT;
+        const args = await resolveArguments(node.arguments);
+
+        // `super.method()` looks up the parent's method but keeps the current `this`
+        const thisArg = callee.object.type === 'Super' ? lookupVariable('this') : object;
+        return executeFunctionCall(method, args, {
+            label: describeNode(callee), line, thisArg, thisRule: 'implicit'
+        });
+    }
+
+    /**
+     * Run a native function: a built-in method or constructor, or one of the
+     * internal functions promises hand out (resolve, reject, ...)
+     * @param {Object} definition - The function's heap value; `slots` holds its internal fields
+     */
+    async function callNative(native, thisArg, args, caller, definition) {
+        const heapObj = getHeapObject(thisArg);
+        const list = heapObj ? heapObj.value : thisArg;
+        if (ERROR_TYPES.includes(native)) {
+            // `super(message)` in a subclass fills in the instance `new` created
+            if (caller.thisRule === 'new' && heapObj) {
+                initializeError(thisArg, args[0]);
+                return thisArg;
+            }
+            return constructError(native, args);
+        }
+        const slots = definition.slots || {};
+        switch (native) {
+            case 'Object.prototype.hasOwnProperty': {
+                const own = heapObj ? getOwnProperties(heapObj) : thisArg;
+                return typeof own === 'object' && own !== null && hasOwn(own, toString(args[0]));
+            }
+            case 'Object.prototype.toString':
+                return `[object ${getToStringTag(thisArg)}]`;
+            case 'Error.prototype.toString':
+                return errorToString(thisArg);
+            case 'Promise':
+                throwError('TypeError', "Promise constructor cannot be invoked without 'new'");
+                break;
+            case 'Promise.prototype.then':
+                return promiseThen(thisArg, args[0], args[1], 'Promise.then');
+            case 'Promise.prototype.catch':
+                return promiseThen(thisArg, undefined, args[0], 'Promise.catch');
+            case 'Promise.prototype.finally':
+                return promiseFinally(thisArg, args[0]);
+            case 'Promise.resolve':
+                return promiseResolve(args[0]);
+            case 'Promise.reject': {
+                const promise = createPromise();
+                rejectPromise(promise, args[0]);
+                return promise;
+            }
+            case 'Promise.all':
+            case 'Promise.allSettled':
+            case 'Promise.race':
+            case 'Promise.any':
+                return promiseCombinator(native.slice('Promise.'.length), args[0]);
+            case 'Promise resolve function':
+            case 'Promise reject function':
+                // A promise settles once: later calls of either function are ignored
+                if (!slots.record.alreadyResolved) {
+                    slots.record.alreadyResolved = true;
+                    if (native === 'Promise resolve function') {
+                        resolvePromise(slots.promise, args[0]);
+                    } else {
+                        rejectPromise(slots.promise, args[0]);
+                    }
+                }
+                return undefined;
+            case 'Promise combinator element':
+                return settleCombinatorElement(slots, args[0]);
+            case 'Promise thenFinally':
+            case 'Promise catchFinally': {
+                const result = await executeFunctionCall(slots.onFinally, [], { label: 'finally callback' });
+                // Wait for what onFinally returns, then pass the original outcome on
+                const passOn = native === 'Promise thenFinally'
+                    ? createNativeFunction('Promise valueThunk', '', [], { value: args[0] })
+                    : createNativeFunction('Promise thrower', '', [], { reason: args[0] });
+                return promiseThen(promiseResolve(result), passOn, undefined, 'Promise.finally');
+            }
+            case 'Async function resume':
+                return resumeCoroutine(slots.coroutine, { threw: slots.rejected, value: args[0] });
+            case 'Promise valueThunk':
+                return slots.value;
+            case 'Promise thrower':
+                throwValue(slots.reason);
+                break;
+            case 'Function.prototype.call':
+                return executeFunctionCall(thisArg, args.slice(1), {
+                    label: caller.label, line: caller.line, thisArg: args[0], thisRule: 'explicit (call)'
+                });
+            case 'Function.prototype.apply':
+                return executeFunctionCall(thisArg, toArgumentList(args[1]), {
+                    label: caller.label, line: caller.line, thisArg: args[0], thisRule: 'explicit (apply)'
+                });
+            case 'Function.prototype.bind': {
+                const target = getHeapObject(thisArg);
+                if (!target || target.type !== 'function') {
+                    throwError('TypeError', 'Bind must be called on a function');
+                }
+                return createBoundFunction(thisArg, args[0], args.slice(1));
+            }
+            case 'Array.prototype.push':
+                if (!Array.isArray(list)) return undefined;
+                args.forEach(arg => setProperty(thisArg, String(list.length), arg));
+                return list.length;
+            case 'Array.prototype.pop': {
+                if (!Array.isArray(list) || list.length === 0) return undefined;
+                const last = list[list.length - 1];
+                setProperty(thisArg, 'length', list.length - 1);
+                return last;
+            }
+            case 'Array.prototype.join':
+                return Array.isArray(list)
+                    ? list.map(v => (v === null || v === undefined ? '' : toString(v)))
+                        .join(args[0] === undefined ? ',' : toString(args[0]))
+                    : '';
+            case 'Array.prototype.indexOf':
+                return Array.isArray(list) ? list.indexOf(args[0]) : -1;
+            case 'Array.prototype.includes':
+                return Array.isArray(list) && list.includes(args[0]);
+            case 'Array.prototype.forEach':
+            case 'Array.prototype.map':
+            case 'Array.prototype.filter':
+                return iterateArray(native.slice('Array.prototype.'.length), thisArg, args, caller);
+            case 'Array.prototype.reduce':
+                return reduceArray(thisArg, args, caller);
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Tag used by Object.prototype.toString
+     */
+    function getToStringTag(value) {
+        if (value === StateManager.GLOBAL_OBJECT) return 'Window';
+        const heapObj = getHeapObject(value);
+        if (heapObj && isErrorObject(heapObj)) return 'Error';
+        if (heapObj && heapObj.promise) return 'Promise';
+        const tags = {
+            null: 'Null', undefined: 'Undefined', array: 'Array', function: 'Function',
+            string: 'String', number: 'Number', boolean: 'Boolean'
+        };
+        return tags[getValueType(value)] || 'Object';
+    }
+
+    /**
+     * `fn.bind(thisArg, ...args)`: a new function object with a fixed `this`
+     */
+    function createBoundFunction(func, thisArg, boundArgs) {
+        const target = getHeapObject(func).value;
+        return StateManager.allocateHeap('function', {
+            name: `bound ${target.name || 'anonymous'}`,
+            params: target.params.slice(boundArgs.length),
+            boundTarget: func,
+            boundThis: thisArg,
+            boundArgs,
+            properties: {},
+            closure: null
+        });
+    }
+
+    /**
+     * forEach, map and filter: call back with (element, index, array) for each
+     * index the array still has when iteration reaches it. Callbacks are
+     * ordinary calls, so each one gets its own frame on the call stack.
+     */
+    async function iterateArray(method, array, args, caller) {
+        const [callback, thisArg] = args;
+        if (!isCallable(callback)) throwError('TypeError', `${formatValue(callback)} is not a function`);
+        const list = toArgumentList(array);
+        const length = list.length;
+        const result = method === 'forEach' ? undefined : pinValue(StateManager.allocateHeap('array', []));
+        const results = result && getHeapObject(result).value;
+
+        for (let i = 0; i < length; i++) {
+            if (!hasOwn(list, i)) continue;
+            const value = list[i];
+            const returned = await executeFunctionCall(callback, [value, i, array], {
+                label: `${method} callback`,
+                line: caller.line,
+                thisArg,
+                thisRule: args.length > 1 ? 'explicit (thisArg)' : 'default'
+            });
+            if (method === 'map') setProperty(result, String(i), returned);
+            if (method === 'filter' && toBoolean(returned)) setProperty(result, String(results.length), value);
+        }
+        // map keeps the holes of a sparse array
+        if (method === 'map' && results.length < length) setProperty(result, 'length', length);
+        return result;
+    }
+
+    /**
+     * reduce: fold the elements left to right with
+     * (accumulator, element, index, array), starting from the first element
+     * when no initial value is given
+     */
+    async function reduceArray(array, args, caller) {
+        const callback = args[0];
+        if (!isCallable(callback)) throwError('TypeError', `${formatValue(callback)} is not a function`);
+        const list = toArgumentList(array);
+        const length = list.length;
+        let i = 0;
+        let accumulator = args[1];
+        if (args.length < 2) {
+            while (i < length && !hasOwn(list, i)) i++;
+            if (i === length) throwError('TypeError', 'Reduce of empty array with no initial value');
+            accumulator = list[i++];
+        }
+
+        for (; i < length; i++) {
+            if (!hasOwn(list, i)) continue;
+            accumulator = await executeFunctionCall(callback, [accumulator, list[i], i, array], {
+                label: 'reduce callback', line: caller.line
+            });
+        }
+        return accumulator;
+    }
+
+    /**
+     * Arguments array passed to `apply`
+     */
+    function toArgumentList(value) {
+        const heapObj = getHeapObject(value);
+        const list = heapObj ? heapObj.value : value;
+        return Array.isArray(list) ? list : [];
+    }
+
+    /**
+     * Native constructor of a built-in error type, allocated with its
+     * prototype the first time a program uses it
+     */
+    function getErrorConstructor(type) {
+        if (builtInConstructors.has(type)) return builtInConstructors.get(type);
+
+        const parent = type === 'Error' ? null : getErrorConstructor('Error');
+        const parentPrototype = parent
+            ? getHeapObject(parent).value.properties.prototype
+            : StateManager.getState().intrinsics.object;
+        const prototype = StateManager.allocateIntrinsic(`${type}.prototype`, null, { name: type, message: '' },
+            parentPrototype);
+        const params = type === 'AggregateError' ? ['errors', 'message'] : ['message'];
+        const constructor = createNativeFunction(type, type, params, null, `ref_${type}`);
+        StateManager.setHeapProperty(constructor, 'prototype', prototype);
+        StateManager.setHeapProperty(prototype, 'constructor', constructor);
+        if (parent) {
+            StateManager.setHeapPrototype(constructor, parent);
+        } else {
+            const toStringMethod = createNativeFunction('Error.prototype.toString', 'toString', [], null,
+                'ref_Error.prototype.toString');
+            StateManager.setHeapProperty(prototype, 'toString', toStringMethod);
+        }
+
+        builtInConstructors.set(type, constructor);
+        return constructor;
+    }
+
+    /**
+     * `new TypeError(message)`, or `new AggregateError(errors, message)`
+     */
+    function constructError(type, args) {
+        if (type !== 'AggregateError') return createError(type, args[0]);
+        const error = createError(type, args[1]);
+        StateManager.setHeapProperty(error, 'errors', StateManager.allocateHeap('array', getIterableValues(args[0]) || []));
+        return error;
+    }
+
+    /**
+     * `new TypeError(message)`: an object linked to TypeError.prototype
+     */
+    function createError(type, message) {
+        const prototype = getHeapObject(getErrorConstructor(type)).value.properties.prototype;
+        const error = StateManager.allocateHeap('object', {});
+        StateManager.setHeapPrototype(error, prototype);
+        initializeError(error, message);
+        return pinValue(error);
+    }
+
+    /**
+     * Give an error its own message and a stack trace of the call stack
+     */
+    function initializeError(error, message) {
+        if (message !== undefined) StateManager.setHeapProperty(error, 'message', toString(message));
+        const trace = getStackTrace().map(({ name, line }) => `    at ${name}${line ? ` (line ${line})` : ''}`);
+        StateManager.setHeapProperty(error, 'stack', [errorToString(error), ...trace].join('\n'));
+    }
+
+    /**
+     * Frames on the call stack, innermost first, each with the line it is
+     * executing: the current line for the top frame, the call site of the
+     * frame above for the others. A callback the event loop started ends the
+     * trace, and so does STACK_TRACE_LIMIT.
+     * @returns {Array<{name: string, line: number}>}
+     */
+    function getStackTrace() {
+        const { callStack, currentLine } = StateManager.getState();
+        const trace = [];
+        let line = currentLine;
+        for (let i = callStack.length - 1; i >= 0 && trace.length < STACK_TRACE_LIMIT; i--) {
+            const frame = callStack[i];
+            trace.push({ name: frame.type === 'global' ? '<anonymous>' : frame.name, line });
+            if (!frame.callSiteLine && frame.type !== 'global') break;
+            line = frame.callSiteLine;
+        }
+        return trace;
+    }
+
+    /**
+     * Whether a heap object inherits from Error.prototype
+     */
+    function isErrorObject(heapObj) {
+        for (let current = getHeapObject(heapObj.proto); current; current = getHeapObject(current.proto)) {
+            if (current.id === 'ref_Error.prototype') return true;
+        }
+        return false;
+    }
+
+    /**
+     * Error.prototype.toString: "TypeError: message", or just the name
+     */
+    function errorToString(value) {
+        const name = getProperty(value, 'name', false);
+        const message = getProperty(value, 'message', false);
+        const nameText = name === undefined ? 'Error' : toString(name);
+        const messageText = message === undefined ? '' : toString(message);
+        if (!nameText) return messageText;
+        return messageText ? `${nameText}: ${messageText}` : nameText;
+    }
+
+    /**
+     * Call a heap function object with already-resolved arguments
+     * @param {Object} caller - { label, line, thisArg, thisRule } of the call site
+     */
+    async function executeFunctionCall(func, args, caller) {
+        const heapObj = getHeapObject(func);
+        if (!heapObj || heapObj.type !== 'function') {
+            throwError('TypeError', `${caller.label} is not a function`);
+        }
+        const definition = heapObj.value;
+        if (definition.classKind && caller.thisRule !== 'new') {
+            throwError('TypeError', `Class constructor ${definition.name} cannot be invoked without 'new'`);
+        }
+        if (definition.boundTarget) {
+            // `new` overrides the bound `this`
+            const boundCaller = caller.thisRule === 'new'
+                ? caller
+                : { ...caller, thisArg: definition.boundThis, thisRule: 'explicit (bind)' };
+            return executeFunctionCall(definition.boundTarget, [...definition.boundArgs, ...args], boundCaller);
+        }
+        if (definition.native) {
+            return pinValue(await callNative(definition.native, caller.thisArg, args, caller, definition));
+        }
+        if (definition.async && !caller.coroutine) {
+            return pinValue(await executeAsyncFunction(func, args, caller));
+        }
+        const { callStack, maxStackDepth } = StateManager.getState();
+        if (callStack.length >= maxStackDepth) {
+            throwError('RangeError', 'Maximum call stack size exceeded');
+        }
+        const name = definition.name || caller.label;
+        
+        // Create new execution context whose parent is the function's [[Environment]]
+        const funcScope = StateManager.createScope(name, 'function', definition.closure);
+        if (caller.coroutine) {
+            caller.coroutine.scopeId = funcScope.id;
+            coroutines.set(funcScope.id, caller.coroutine);
+        }
+        
+        // Arrows have no `this` of their own and see the enclosing one
+        let thisValue;
+        let thisRule;
+        if (definition.arrow) {
+            thisValue = lookupVariable('this');
+            thisRule = 'lexical (arrow)';
+        } else if (definition.classKind === 'derived') {
+            // A derived constructor has no `this` until super() creates it
+            thisRule = 'new';
+            StateManager.declareUninitialized(funcScope.id, 'this', 'this');
+        } else {
+            ({ value: thisValue, rule: thisRule } = bindThis(definition, caller));
+            StateManager.addScopeVariable(funcScope.id, 'this', thisValue, getValueType(thisValue), 'this');
+        }
+        if (definition.homeObject) {
+            callContexts.set(funcScope.id, { func, homeObject: definition.homeObject, instance: caller.thisArg });
+        }
+        
+        // Push call stack frame
+        activeFunctions.push(func);
+        StateManager.pushCallStack({
+            name,
+            type: 'function',
+            variables: {},
+            thisBinding: definition.classKind === 'derived' ? '<uninitialized>' : formatValue(thisValue),
+            thisRule,
+            strict: definition.strict,
+            line: definition.line,
+            callSiteLine: caller.line
+        });
+        
+        // Bind parameters
+        definition.params.forEach((param, i) => {
+            const value = args[i];
+            StateManager.addScopeVariable(funcScope.id, param, value, getValueType(value), 'param');
+            StateManager.updateFrameVariable(param, formatValue(value), getValueType(value));
+        });
+        
+        let returnValue;
+        try {
+            // Base class fields are defined before the constructor body runs
+            if (definition.classKind === 'base') {
+                await initializeFields(func, thisValue);
+            }
+
+            // Execute function body until it completes or returns
+            if (!definition.body) {
+                // Implicit constructor: `constructor(...args) { super(...args); }`
+                if (definition.classKind === 'derived') {
+                    await constructParent({ scopeId: funcScope.id, func, instance: caller.thisArg }, args, caller.line);
+                }
+            } else if (definition.expression) {
+                StateManager.setCurrentLine(getLine(definition.body));
+                returnValue = await resolveValue(definition.body);
+            } else {
+                const completion = await executeStatements(Parser.hoist(definition.body.body, false, isStrictMode()),
+                    definition.line);
+                returnValue = completion && completion.type === Completion.RETURN ? completion.value : undefined;
+            }
+
+            // Constructors produce `this` unless they explicitly return an object
+            if (definition.classKind === 'derived' && !isObjectValue(returnValue)) {
+                thisValue = lookupVariable('this');
+            }
+        } catch (error) {
+            if (!isThrowCompletion(error)) throw error;
+            await unwindFrame(funcScope.id, error.value);
+            throw error;
+        }
+        if (caller.thisRule === 'new' && !isObjectValue(returnValue)) {
+            returnValue = thisValue;
+        } else if (caller.thisRule === 'new') {
+            StateManager.logConsole('info', `${name} returned an object, so the new instance is discarded`);
+        }
+        
+        // Show the returned value on the frame before it pops
+        StateManager.setFrameReturnValue(formatValue(returnValue), getValueType(returnValue));
+        await delay();
+        
+        // Pop execution context; its scope survives if a closure captured it
+        StateManager.popCallStack();
+        activeFunctions.pop();
+        releaseScope(funcScope.id, returnValue);
+        if (StateManager.getState().gcMode === 'frame') {
+            await collectGarbage('after frame pop', [returnValue]);
+        }
+        if (caller.line) StateManager.setCurrentLine(caller.line);
+        return pinValue(returnValue);
+    }
+
+    /**
+     * Pop a frame an exception propagates out of, after showing what it throws
+     */
+    async function unwindFrame(scopeId, value) {
+        StateManager.setFrameException(formatValue(value), getValueType(value));
+        await delay();
+
+        StateManager.popCallStack();
+        activeFunctions.pop();
+        unwindScopes(scopeId, value);
+        releaseScope(scopeId, value);
+        if (StateManager.getState().gcMode === 'frame') {
+            await collectGarbage('after frame pop', [value]);
+        }
+    }
+
+    /**
+     * Pick `this` for a non-arrow call: sloppy functions replace a missing
+     * `this` with the global object, strict functions keep `undefined`
+     */
+    function bindThis(definition, caller) {
+        const rule = caller.thisRule || 'default';
+        if (caller.thisArg !== undefined && caller.thisArg !== null) {
+            return { value: caller.thisArg, rule };
+        }
+        if (definition.strict) {
+            return { value: caller.thisArg, rule: rule === 'default' ? 'default (strict)' : rule };
+        }
+        return { value: StateManager.GLOBAL_OBJECT, rule };
+    }
+
+    /**
+     * Destroy a finished function scope unless a reachable closure captured it
+     */
+    function releaseScope(scopeId, returnValue) {
+        const retainer = findClosureRetainer(scopeId, [returnValue]);
+        if (retainer) {
+            StateManager.retainScope(scopeId, retainer);
+        } else {
+            StateManager.destroyScope(scopeId);
+            callContexts.delete(scopeId);
+        }
+    }
+
+    /**
+     * Find a reachable heap function whose [[Environment]] chain includes a scope.
+     * Roots are the other live scopes, queued callbacks and any extra values.
+     */
+    function findClosureRetainer(scopeId, extraRoots) {
+        const { scopes, eventLoop } = StateManager.getState();
+        const scopesById = new Map(scopes.map(scope => [scope.id, scope]));
+        const roots = [...extraRoots, ...getTaskRoots(eventLoop)];
+        pendingMicrotasks.forEach(task => roots.push(task.callback, ...task.roots));
+
+        scopes.filter(scope => scope.id !== scopeId && !scope.retainedBy)
+            .forEach(scope => roots.push(...Object.values(scope.variables).map(v => v.value)));
+
+        const capturesScope = (id) => {
+            for (let scope = scopesById.get(id); scope; scope = scopesById.get(scope.parentId)) {
+                if (scope.id === scopeId) return true;
+            }
+            return false;
+        };
+
+        return traceReachable(roots, [], scopesById, capturesScope).retainer;
+    }
+
+    /**
+     * Callbacks and arguments waiting in the Web APIs and both queues
+     */
+    function getTaskRoots(eventLoop) {
+        const tasks = [...eventLoop.webAPIs, ...eventLoop.callbackQueue, ...eventLoop.microtaskQueue];
+        return tasks.flatMap(task => [task.callback, ...(task.args || [])]);
+    }
+
+    /**
+     * Walk everything reachable from the roots: heap objects through their
+     * references, closures through their [[Environment]] chain. Stops at the
+     * first closure `stopAt(closureScopeId)` accepts.
+     * @returns {{ objects: string[], scopes: Set<string>, retainer: string|null }}
+     *          Heap ids in the order they were reached and the scopes reached
+     */
+    function traceReachable(roots, rootScopeIds, scopesById, stopAt = null) {
+        const pending = [...roots];
+        const objects = [];
+        const scopes = new Set();
+        const visited = new Set();
+
+        const markScopeChain = (id) => {
+            for (let scope = scopesById.get(id); scope && !scopes.has(scope.id); scope = scopesById.get(scope.parentId)) {
+                scopes.add(scope.id);
+                pending.push(...getScopeReferences(scope).map(edge => edge.value));
+            }
+        };
+        rootScopeIds.forEach(markScopeChain);
+
+        while (pending.length > 0) {
+            const value = pending.shift();
+            const heapObj = getHeapObject(value);
+            if (!heapObj || visited.has(heapObj.id)) continue;
+            visited.add(heapObj.id);
+            objects.push(heapObj.id);
+            pending.push(...getHeapReferences(heapObj).map(edge => edge.value));
+
+            if (heapObj.type !== 'function' || heapObj.value.boundTarget) continue;
+            if (stopAt && stopAt(heapObj.value.closure)) return { objects, scopes, retainer: heapObj.id };
+
+            // Values captured by this closure are reachable too
+            markScopeChain(heapObj.value.closure);
+        }
+        return { objects, scopes, retainer: null };
+    }
+
+    /**
+     * Named references from a heap object to other heap objects: property
+     * keys, [[Prototype]], [[HomeObject]] and bound values. A closure's
+     * [[Environment]] is a scope, not a heap object, so it is not listed.
+     * @returns {Array<{name: string, value: string}>}
+     */
+    function getHeapReferences(heapObj) {
+        const edges = [];
+        if (heapObj.type === 'function') {
+            const { properties, homeObject, boundTarget, boundThis, boundArgs } = heapObj.value;
+            Object.entries(properties).forEach(([name, value]) => edges.push({ name, value }));
+            if (homeObject) edges.push({ name: '[[HomeObject]]', value: homeObject });
+            if (boundTarget) {
+                edges.push({ name: '[[BoundTargetFunction]]', value: boundTarget });
+                edges.push({ name: '[[BoundThis]]', value: boundThis });
+                boundArgs.forEach((value, i) => edges.push({ name: `[[BoundArguments]][${i}]`, value }));
+            }
+            Object.entries(heapObj.value.slots || {}).forEach(([name, value]) => edges.push({ name: `[[${name}]]`, value }));
+        } else {
+            Object.entries(heapObj.value).forEach(([key, value]) => {
+                edges.push({ name: heapObj.type === 'array' ? `[${key}]` : key, value });
+            });
+        }
+        if (heapObj.promise) {
+            const { result, reactions } = heapObj.promise;
+            edges.push({ name: '[[PromiseResult]]', value: result });
+            reactions.forEach((reaction, i) => ['onFulfilled', 'onRejected', 'derived'].forEach(key => {
+                edges.push({ name: `[[PromiseReactions]][${i}].${key}`, value: reaction[key] });
+            }));
+        }
+        if (heapObj.proto) edges.push({ name: '[[Prototype]]', value: heapObj.proto });
+        return edges.filter(edge => getHeapObject(edge.value));
+    }
+
+    /**
+     * Named references from a scope to heap objects: its bindings, plus the
+     * class context `super` needs while the scope lives
+     */
+    function getScopeReferences(scope) {
+        const edges = Object.entries(scope.variables).map(([name, binding]) => ({ name, value: binding.value }));
+        const context = callContexts.get(scope.id);
+        if (context) {
+            edges.push({ name: '[[FunctionObject]]', value: context.func });
+            edges.push({ name: '[[HomeObject]]', value: context.homeObject });
+            edges.push({ name: '[[ThisValue]]', value: context.instance });
+        }
+        return edges.filter(edge => getHeapObject(edge.value));
+    }
+
+    /**
+     * The collector's roots, named for retainer paths: live scopes (the global
+     * scope and those of frames on the stack), queued callbacks and their
+     * arguments, running functions, values the evaluator holds and the built-ins
+     * @returns {Array<{name: string, value?: string, scope?: string}>}
+     */
+    function getGcRoots() {
+        const { heap, scopes, eventLoop, intrinsics } = StateManager.getState();
+        const queues = { webAPIs: 'Web APIs', callbackQueue: 'Callback Queue', microtaskQueue: 'Microtask Queue' };
+        const roots = scopes.filter(scope => !scope.retainedBy).map(scope => ({
+            name: scope.type === 'global'
+                ? 'Global scope'
+                : `${scope.name} scope (${scope.suspended ? 'suspended at await' : 'on the stack'})`,
+            scope: scope.id
+        }));
+
+        Object.entries(queues).forEach(([queue, label]) => {
+            eventLoop[queue].forEach(task => {
+                [task.callback, ...(task.args || [])].forEach(value => roots.push({ name: `${label}: ${task.name}`, value }));
+            });
+        });
+        if (dequeuedCallback) roots.push({ name: 'Dequeued callback', value: dequeuedCallback.callback });
+        pendingMicrotasks.forEach(task => {
+            [task.callback, ...task.roots].forEach(value => roots.push({ name: 'Pending job', value }));
+        });
+        unhandledRejections.forEach((reason, promise) => {
+            [promise, reason].forEach(value => roots.push({ name: 'Unhandled rejection', value }));
+        });
+        activeFunctions.forEach(value => roots.push({ name: 'Running function', value }));
+        coroutines.forEach(({ func, promise, savedRoots }) => {
+            [func, promise, ...getStatementRoots(heap, savedRoots)]
+                .forEach(value => roots.push({ name: 'Async function call', value }));
+        });
+        roots.push({ name: 'Exception being thrown', value: thrownValue });
+        getStatementRoots(heap).forEach(value => roots.push({ name: 'Evaluator temporary', value }));
+        [...Object.values(intrinsics), ...builtInConstructors.values()]
+            .forEach(value => roots.push({ name: 'Built-ins', value }));
+
+        return roots.filter(root => root.scope || getHeapObject(root.value));
+    }
+
+    /**
+     * The heap as a graph for the memory profiler: heap objects and scopes,
+     * each with its slot values and named references, plus the named roots
+     */
+    function getHeapGraph() {
+        const { heap, scopes } = StateManager.getState();
+        const nodes = [];
+
+        heap.forEach(heapObj => {
+            const isFunction = heapObj.type === 'function';
+            const edges = getHeapReferences(heapObj).map(({ name, value }) => ({ name, to: value.id }));
+            if (isFunction && heapObj.value.closure && !heapObj.value.boundTarget) {
+                edges.push({ name: '[[Environment]]', to: heapObj.value.closure });
+            }
+            nodes.push({
+                id: heapObj.id,
+                type: heapObj.type,
+                name: describeHeapObject(heapObj),
+                builtIn: isBuiltIn(heapObj),
+                slots: Object.values(isFunction ? heapObj.value.properties : heapObj.value),
+                edges
+            });
+        });
+
+        scopes.forEach(scope => {
+            const edges = getScopeReferences(scope).map(({ name, value }) => ({ name, to: value.id }));
+            if (scope.parentId) edges.push({ name: '[[OuterEnv]]', to: scope.parentId });
+            nodes.push({
+                id: scope.id,
+                type: 'scope',
+                name: `${scope.name} scope`,
+                builtIn: false,
+                slots: Object.values(scope.variables).map(binding => binding.value),
+                edges
+            });
+        });
+
+        const roots = getGcRoots().map(root => ({ name: root.name, to: root.scope || root.value.id }));
+        return { nodes, roots };
+    }
+
+    /**
+     * Short name of a heap object: `Dog` for an instance, `Dog.prototype`,
+     * `Array(3)`, `greet()`
+     */
+    function describeHeapObject(heapObj) {
+        if (heapObj.intrinsic) return heapObj.intrinsic;
+        if (heapObj.type === 'function') {
+            const name = heapObj.value.name || '(anonymous)';
+            return heapObj.value.classKind ? `class ${name}` : `${name}()`;
+        }
+        if (heapObj.type === 'array') return `Array(${heapObj.value.length})`;
+
+        const ref = StateManager.refTo(heapObj.id);
+        const constructor = getHeapObject(getProperty(ref, 'constructor', false));
+        if (!constructor || !constructor.value.name) return 'Object';
+        return constructor.value.properties.prototype === ref
+            ? `${constructor.value.name}.prototype`
+            : constructor.value.name;
+    }
+
+    /**
+     * Mark-and-sweep: mark everything reachable from the roots (live scopes and
+     * frames, queued callbacks, built-ins and values the evaluator is holding),
+     * then deallocate the unmarked objects and free closure scopes nothing reaches
+     * @param {string} reason - Why the collector runs, shown in the console
+     * @param {Array} extraRoots - In-flight values such as a return value
+     */
+    async function collectGarbage(reason = 'manual', extraRoots = []) {
+        if (isCollecting) return;
+        const { heap, scopes, eventLoop, heapIdCounter } = StateManager.getState();
+        allocationsAtLastCollection = heapIdCounter;
+
+        const roots = getGcRoots();
+        const liveScopes = roots.filter(root => root.scope).map(root => root.scope);
+        const scopesById = new Map(scopes.map(scope => [scope.id, scope]));
+        const { objects: marked, scopes: markedScopes } = traceReachable(
+            [...roots.map(root => root.value), ...extraRoots], liveScopes, scopesById);
+
+        // Garbage stays garbage, so sweeping after the mark animation is safe
+        const reached = new Set(marked);
+        const garbage = [...heap.keys()].filter(id => !reached.has(id));
+        const deadScopes = scopes.filter(scope => scope.retainedBy && !markedScopes.has(scope.id));
+        if (garbage.length === 0 && deadScopes.length === 0 && reason !== 'manual') return;
+
+        isCollecting = true;
+        const userObjects = marked.filter(id => !isBuiltIn(heap.get(id)));
+        const callbacks = getTaskRoots(eventLoop).filter(value => getHeapObject(value)).length;
+        StateManager.logConsole('info', `GC (${reason}): mark from ${plural(liveScopes.length, 'live scope')}` +
+            ` and ${plural(callbacks, 'queued callback')} reached ${plural(userObjects.length, 'object')}`);
+        StateManager.traceCollection('mark', marked, garbage, deadScopes.map(scope => scope.id));
+        await delay();
+
+        garbage.forEach(id => StateManager.deallocateHeap(id));
+        deadScopes.forEach(scope => {
+            StateManager.destroyScope(scope.id);
+            callContexts.delete(scope.id);
+        });
+        StateManager.traceCollection('done');
+
+        const swept = [
+            ...garbage,
+            ...deadScopes.map(scope => `scope ${scope.name}`)
+        ];
+        StateManager.logConsole('info', swept.length > 0
+            ? `GC: swept ${swept.join(', ')}`
+            : 'GC: nothing to sweep');
+        isCollecting = false;
+    }
+
+    /**
+     * Collect when the allocation threshold is reached (checked between statements)
+     */
+    async function collectIfDue() {
+        const { gcMode, gcThreshold, heapIdCounter } = StateManager.getState();
+        if (gcMode === 'threshold' && heapIdCounter - allocationsAtLastCollection >= gcThreshold) {
+            await collectGarbage(`${gcThreshold} allocations`);
+        }
+    }
+
+    /**
+     * "1 object", "2 objects"
+     */
+    function plural(count, noun) {
+        return `${count} ${noun}${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Built-in prototypes and native methods are never collected
+     */
+    function isBuiltIn(heapObj) {
+        return Boolean(heapObj.intrinsic || (heapObj.type === 'function' && heapObj.value.native));
+    }
+
+    /**
+     * Run one statement. Until it finishes, objects it allocates and values
+     * calls hand back to it stay rooted: operands, arguments and half-built
+     * literals are held by the evaluator, not by any scope.
+     */
+    async function runStatement(statement) {
+        await collectIfDue();
+        const allocations = StateManager.getState().heapIdCounter;
+        const parent = statementRoots[statementRoots.length - 1];
+        if (parent) parent.ranges[parent.ranges.length - 1][1] = allocations;
+        statementRoots.push({ ranges: [[allocations, null]], values: [] });
+
+        try {
+            return await executeInstruction(statement);
+        } finally {
+            statementRoots.pop();
+            // The finished child's allocations are rooted by scopes or garbage now
+            if (parent) {
+                const last = parent.ranges[parent.ranges.length - 1];
+                if (last[0] === last[1]) parent.ranges.pop();
+                parent.ranges.push([StateManager.getState().heapIdCounter, null]);
+            }
+        }
+    }
+
+    /**
+     * Keep a value handed back to the running statement alive until it ends
+     */
+    function pinValue(value) {
+        const current = statementRoots[statementRoots.length - 1];
+        if (current && getHeapObject(value)) current.values.push(value);
+        return value;
+    }
+
+    /**
+     * Objects the in-progress statements allocated (outside finished child
+     * statements) or were handed back
+     */
+    function getStatementRoots(heap, levels = statementRoots) {
+        const ranges = levels.flatMap(level => level.ranges);
+        const allocated = [...heap.keys()].filter(id => {
+            const n = Number(id.slice('ref_'.length));
+            return ranges.some(([start, end]) => n > start && (end === null || n <= end));
+        }).map(StateManager.refTo);
+        return [...allocated, ...levels.flatMap(level => level.values)];
+    }
+
+    /**
+     * Execute method call
+     */
+    async function executeMethodCall(instruction) {
+        if (instruction.object === 'console') {
+            await executeConsole({
+                method: instruction.method,
+                args: instruction.args,
+                line: instruction.line
+            });
+        }
+        return undefined;
+    }
+
+    /**
+     * Execute console methods
+     */
+    async function executeConsole(instruction) {
+        const args = await resolveArguments(instruction.args);
+        const formatted = args.map(formatConsoleValue).join(' ');
+        StateManager.logConsole(instruction.method, formatted);
+    }
+
+    /**
+     * Execute setTimeout/setInterval: register the timer and return its id
+     */
+    async function executeSetTimer(name, node) {
+        const [callback, delayValue, ...args] = await resolveArguments(node.arguments);
+        const delayMs = Math.max(0, toNumber(delayValue) || 0);
+        
+        // Add to Web APIs; it waits there until the virtual clock reaches its due time
+        const task = StateManager.addToWebAPI({
+            name,
+            callback,
+            args,
+            delay: delayMs,
+            interval: name === 'setInterval',
+            type: 'timer'
+        });
+        
+        StateManager.logConsole('info', `${describeTimer(task)} registered (${delayMs}ms)`);
+        return task.timerId;
+    }
+
+    /**
+     * Execute clearTimeout/clearInterval; either one cancels any timer id
+     */
+    async function executeClearTimer(name, node) {
+        const [timerId] = await resolveArguments(node.arguments);
+        const task = StateManager.clearTimer(timerId);
+
+        // An interval clearing itself from its own callback is not re-armed
+        const running = dequeuedCallback && dequeuedCallback.timerId === timerId ? dequeuedCallback : null;
+        if (running) running.cleared = true;
+
+        if (task || running) {
+            StateManager.logConsole('info', `${name}(${timerId}): ${describeTimer(task || running)} cleared`);
+        }
+        return undefined;
+    }
+
+    /**
+     * "setInterval #2"
+     */
+    function describeTimer(task) {
+        return `${task.name} #${task.timerId}`;
+    }
+
+    /**
+     * Put an interval back into Web APIs after a run, until it reaches the firing limit
+     */
+    function rearmInterval(task) {
+        const limit = StateManager.getState().intervalFiringLimit;
+        const firings = task.firings + 1;
+        if (firings >= limit) {
+            StateManager.logConsole('warn', `${describeTimer(task)} reached the interval firing limit (${limit}) and was cleared`);
+            return;
+        }
+        StateManager.addToWebAPI({ ...task, firings });
+    }
+
+    /**
+     * Built-in constructor a global name refers to, allocated on first use
+     */
+    function getBuiltInGlobal(name) {
+        return name === 'Promise' ? getPromiseConstructor() : getErrorConstructor(name);
+    }
+
+    function isBuiltInGlobal(name) {
+        return name === 'Promise' || ERROR_TYPES.includes(name);
+    }
+
+    /**
+     * Allocate a native function; `slots` are its internal fields, such as
+     * the promise a resolve function settles
+     */
+    function createNativeFunction(native, name, params = [], slots = null, refId = null) {
+        return StateManager.allocateHeap('function', {
+            name,
+            params,
+            native,
+            ...(slots && { slots }),
+            properties: {},
+            closure: null
+        }, refId);
+    }
+
+    /**
+     * The Promise constructor with Promise.prototype and the static methods,
+     * allocated the first time a program uses promises
+     */
+    function getPromiseConstructor() {
+        if (builtInConstructors.has('Promise')) return builtInConstructors.get('Promise');
+
+        const prototype = StateManager.allocateIntrinsic('Promise.prototype', 'promise', {},
+            StateManager.getState().intrinsics.object);
+        const constructor = createNativeFunction('Promise', 'Promise', ['executor'], null, 'ref_Promise');
+        StateManager.setHeapProperty(constructor, 'prototype', prototype);
+        StateManager.setHeapProperty(prototype, 'constructor', constructor);
+        PROMISE_METHODS.prototype.forEach(method => {
+            const native = `Promise.prototype.${method}`;
+            StateManager.setHeapProperty(prototype, method, createNativeFunction(native, method, [], null, `ref_${native}`));
+        });
+        PROMISE_METHODS.statics.forEach(method => {
+            const native = `Promise.${method}`;
+            StateManager.setHeapProperty(constructor, method, createNativeFunction(native, method, [], null, `ref_${native}`));
+        });
+
+        builtInConstructors.set('Promise', constructor);
+        return constructor;
+    }
+
+    /**
+     * A new pending promise on the heap
+     */
+    function createPromise() {
+        getPromiseConstructor();
+        return pinValue(StateManager.allocateHeap('promise', {}));
+    }
+
+    function isPromise(value) {
+        const heapObj = getHeapObject(value);
+        return Boolean(heapObj && heapObj.promise);
+    }
+
+    function isCallable(value) {
+        const heapObj = getHeapObject(value);
+        return Boolean(heapObj && heapObj.type === 'function');
+    }
+
+    /**
+     * `new Promise(executor)`: the executor runs right away with the
+     * promise's resolve and reject functions; a throw rejects the promise
+     */
+    async function constructPromise(executor, line) {
+        if (!isCallable(executor)) {
+            throwError('TypeError', `Promise resolver ${formatValue(executor)} is not a function`);
+        }
+        const promise = createPromise();
+        const [resolve, reject] = createResolvingFunctions(promise);
+        const outcome = await attempt(() => executeFunctionCall(executor, [resolve, reject], {
+            label: 'Promise executor', line
+        }));
+        if (outcome.threw) await executeFunctionCall(reject, [outcome.value], { label: 'reject' });
+        return promise;
+    }
+
+    /**
+     * The resolve/reject pair handed out for a promise; they share one
+     * "already resolved" flag
+     */
+    function createResolvingFunctions(promise) {
+        const record = { alreadyResolved: false };
+        return [
+            createNativeFunction('Promise resolve function', 'resolve', ['value'], { promise, record }),
+            createNativeFunction('Promise reject function', 'reject', ['reason'], { promise, record })
+        ];
+    }
+
+    /**
+     * Resolve a promise with a value. A thenable is adopted: its `then` is
+     * called from a microtask, so the promise follows it a tick later.
+     */
+    function resolvePromise(promise, resolution) {
+        if (resolution === promise) {
+            rejectPromise(promise, createError('TypeError', 'Chaining cycle detected for promise #<Promise>'));
+            return;
+        }
+        if (!getHeapObject(resolution)) {
+            settlePromise(promise, 'fulfilled', resolution);
+            return;
+        }
+
+        let then;
+        try {
+            then = getProperty(resolution, 'then', false);
+        } catch (error) {
+            if (!isThrowCompletion(error)) throw error;
+            thrownValue = undefined;
+            rejectPromise(promise, error.value);
+            return;
+        }
+        if (!isCallable(then)) {
+            settlePromise(promise, 'fulfilled', resolution);
+            return;
+        }
+
+        const [resolve, reject] = createResolvingFunctions(promise);
+        enqueueMicrotask('PromiseResolveThenableJob', then, [resolve, reject], async () => {
+            const outcome = await attempt(() => executeFunctionCall(then, [resolve, reject], {
+                label: 'then', thisArg: resolution, thisRule: 'implicit'
+            }));
+            if (outcome.threw) await executeFunctionCall(reject, [outcome.value], { label: 'reject' });
+        }, [resolution]);
+    }
+
+    function rejectPromise(promise, reason) {
+        settlePromise(promise, 'rejected', reason);
+    }
+
+    /**
+     * Fulfill or reject a promise and queue a job for each waiting reaction
+     */
+    function settlePromise(promise, state, result) {
+        const { reactions } = getHeapObject(promise).promise;
+        StateManager.settlePromise(promise, state, result);
+        if (state === 'rejected' && reactions.length === 0) unhandledRejections.set(promise, result);
+        reactions.forEach(reaction => enqueueReactionJob(reaction, state, result));
+    }
+
+    /**
+     * Register handlers on a promise, or queue them right away if it has
+     * settled; `derived` (if any) settles with what the handler returns or throws
+     */
+    function performThen(promise, onFulfilled, onRejected, derived, name) {
+        const reaction = {
+            onFulfilled: isCallable(onFulfilled) ? onFulfilled : undefined,
+            onRejected: isCallable(onRejected) ? onRejected : undefined,
+            derived,
+            name
+        };
+        const { state, result } = getHeapObject(promise).promise;
+        if (state === 'pending') {
+            StateManager.addPromiseReaction(promise, reaction);
+        } else {
+            unhandledRejections.delete(promise);
+            enqueueReactionJob(reaction, state, result);
+        }
+    }
+
+    /**
+     * Promise.prototype.then/catch: a new promise for the handler's outcome
+     */
+    function promiseThen(promise, onFulfilled, onRejected, name) {
+        if (!isPromise(promise)) {
+            const method = name.replace('Promise.', 'Promise.prototype.');
+            throwError('TypeError', `Method ${method} called on incompatible receiver ${formatValue(promise)}`);
+        }
+        const derived = createPromise();
+        performThen(promise, onFulfilled, onRejected, derived, name);
+        return derived;
+    }
+
+    /**
+     * Promise.prototype.finally: onFinally runs either way, and the original
+     * value or reason passes through unless onFinally throws
+     */
+    function promiseFinally(promise, onFinally) {
+        if (!isCallable(onFinally)) return promiseThen(promise, onFinally, onFinally, 'Promise.finally');
+        const thenFinally = createNativeFunction('Promise thenFinally', '', ['value'], { onFinally });
+        const catchFinally = createNativeFunction('Promise catchFinally', '', ['reason'], { onFinally });
+        return promiseThen(promise, thenFinally, catchFinally, 'Promise.finally');
+    }
+
+    /**
+     * Promise.resolve: promises pass through, anything else is wrapped
+     */
+    function promiseResolve(value) {
+        if (isPromise(value)) return value;
+        const promise = createPromise();
+        resolvePromise(promise, value);
+        return promise;
+    }
+
+    /**
+     * Promise.all / allSettled / race / any. Every element gets a reaction;
+     * all, allSettled and any count down until each element has reported.
+     */
+    async function promiseCombinator(kind, iterable) {
+        const promise = createPromise();
+        const [resolve, reject] = createResolvingFunctions(promise);
+        const name = `Promise.${kind}`;
+        const items = getIterableValues(iterable);
+        if (!items) {
+            rejectPromise(promise, createError('TypeError', `${formatValue(iterable)} is not iterable`));
+            return promise;
+        }
+
+        const results = kind === 'race' ? null : pinValue(StateManager.allocateHeap('array', items.map(() => undefined)));
+        const remaining = { count: 1 };
+        items.forEach((item, index) => {
+            const next = promiseResolve(item);
+            if (kind === 'race') {
+                performThen(next, resolve, reject, null, name);
+                return;
+            }
+            remaining.count++;
+            const alreadyCalled = { value: false };
+            const element = (status) => createNativeFunction('Promise combinator element', '', ['value'], {
+                kind, index, status, results, remaining, alreadyCalled, resolve, reject
+            });
+            if (kind === 'all') performThen(next, element('fulfilled'), reject, null, name);
+            if (kind === 'allSettled') performThen(next, element('fulfilled'), element('rejected'), null, name);
+            if (kind === 'any') performThen(next, resolve, element('rejected'), null, name);
+        });
+
+        remaining.count--;
+        if (kind !== 'race' && remaining.count === 0) await finishCombinator(kind, results, resolve, reject);
+        return promise;
+    }
+
+    /**
+     * One element of Promise.all/allSettled/any reported: record it and
+     * settle the combined promise if it was the last
+     */
+    async function settleCombinatorElement(slots, value) {
+        if (slots.alreadyCalled.value) return undefined;
+        slots.alreadyCalled.value = true;
+
+        let entry = value;
+        if (slots.kind === 'allSettled') {
+            entry = StateManager.allocateHeap('object', slots.status === 'fulfilled'
+                ? { status: 'fulfilled', value }
+                : { status: 'rejected', reason: value });
+        }
+        setProperty(slots.results, String(slots.index), entry);
+
+        slots.remaining.count--;
+        if (slots.remaining.count === 0) await finishCombinator(slots.kind, slots.results, slots.resolve, slots.reject);
+        return undefined;
+    }
+
+    async function finishCombinator(kind, results, resolve, reject) {
+        if (kind === 'any') {
+            const error = createError('AggregateError', 'All promises were rejected');
+            StateManager.setHeapProperty(error, 'errors', results);
+            await executeFunctionCall(reject, [error], { label: 'reject' });
+        } else {
+            await executeFunctionCall(resolve, [results], { label: 'resolve' });
+        }
+    }
+
+    /**
+     * Queue the job that runs a reaction's handler with the settled value
+     */
+    function enqueueReactionJob(reaction, state, argument) {
+        const handler = state === 'fulfilled' ? reaction.onFulfilled : reaction.onRejected;
+        enqueueMicrotask(reaction.name, handler, [argument], () => runReactionJob(reaction, state, argument),
+            [reaction.derived]);
+    }
+
+    /**
+     * Call the reaction's handler (or pass the outcome through when there is
+     * none) and settle the derived promise with the result
+     */
+    async function runReactionJob(reaction, state, argument) {
+        const handler = state === 'fulfilled' ? reaction.onFulfilled : reaction.onRejected;
+        const outcome = handler
+            ? await attempt(() => executeFunctionCall(handler, [argument], { label: `${reaction.name} callback` }))
+            : { threw: state === 'rejected', value: argument };
+
+        if (!reaction.derived) return;
+        if (outcome.threw) {
+            rejectPromise(reaction.derived, outcome.value);
+        } else {
+            resolvePromise(reaction.derived, outcome.value);
+        }
+    }
+
+    /**
+     * Add a job to the Microtask Queue; `roots` are values it keeps alive
+     */
+    function enqueueMicrotask(name, callback, args, run, roots = []) {
+        StateManager.addToMicrotaskQueue({ name, callback, args });
+        pendingMicrotasks.push({ callback, run, roots: [...args, ...roots] });
+        StateManager.logConsole('info', `${name} added to microtask queue`);
+    }
+
+    /**
+     * Run `fn`, turning a simulated throw into { threw: true, value }
+     */
+    async function attempt(fn) {
+        try {
+            return { threw: false, value: await fn() };
+        } catch (error) {
+            if (!isThrowCompletion(error)) throw error;
+            thrownValue = undefined;
+            return { threw: true, value: error.value };
+        }
+    }
+
+    /**
+     * Call an async function: its body runs until the first `await`, and the
+     * caller gets a promise for the eventual return value
+     */
+    async function executeAsyncFunction(func, args, caller) {
+        const coroutine = {
+            name: getHeapObject(func).value.name || caller.label,
+            func,
+            promise: createPromise(),
+            rootsDepth: statementRoots.length,
+            savedRoots: [], // statement roots of the body while it is suspended
+            caller: { ...caller }
+        };
+        coroutine.caller.coroutine = coroutine;
+
+        const body = async () => {
+            const outcome = await attempt(() => executeFunctionCall(func, args, coroutine.caller));
+            coroutines.delete(coroutine.scopeId);
+            if (outcome.threw) {
+                rejectPromise(coroutine.promise, outcome.value);
+            } else {
+                resolvePromise(coroutine.promise, outcome.value);
+            }
+            coroutine.pause();
+        };
+        await runUntilPause(coroutine, () => {
+            // Evaluator failures surface in whichever segment is running
+            body().catch(error => coroutine.fail(error));
+        });
+        return coroutine.promise;
+    }
+
+    /**
+     * Run (or continue) an async function's body until it suspends at an
+     * await or finishes
+     */
+    function runUntilPause(coroutine, run) {
+        return new Promise((resolve, reject) => {
+            coroutine.pause = resolve;
+            coroutine.fail = reject;
+            run();
+        });
+    }
+
+    /**
+     * `await value`: park the running async function until the awaited promise
+     * settles. Its frame leaves the stack, and the continuation is a reaction
+     * on the promise, so it comes back through the Microtask Queue.
+     */
+    async function executeAwait(node) {
+        const value = await resolveValue(node.argument);
+        const coroutine = getRunningCoroutine();
+        const promise = promiseResolve(value);
+        const line = getLine(node);
+
+        const resume = (rejected) => createNativeFunction('Async function resume', '', ['value'], { coroutine, rejected });
+        performThen(promise, resume(false), resume(true), null, `resume ${coroutine.name}`);
+
+        const outcome = await suspendCoroutine(coroutine, line, promise);
+        StateManager.setCurrentLine(line);
+        if (outcome.threw) throwValue(outcome.value);
+        return pinValue(outcome.value);
+    }
+
+    /**
+     * The coroutine whose function body contains the running code
+     */
+    function getRunningCoroutine() {
+        const scopesById = new Map(StateManager.getState().scopes.map(scope => [scope.id, scope]));
+        let scope = scopesById.get(getCurrentScopeId());
+        while (scope.type !== 'function') scope = scopesById.get(scope.parentId);
+        return coroutines.get(scope.id);
+    }
+
+    /**
+     * The coroutine's live scopes: its function scope and the block scopes
+     * nested in it, but not the scopes of other functions (or coroutines)
+     */
+    function getCoroutineScopeIds(coroutine) {
+        // Scopes are listed in creation order, so a parent comes before its blocks
+        const { scopes } = StateManager.getState();
+        const owned = new Set([coroutine.scopeId]);
+        scopes.forEach(scope => {
+            if (scope.type !== 'function' && owned.has(scope.parentId)) owned.add(scope.id);
+        });
+        return scopes.filter(scope => owned.has(scope.id) && !scope.retainedBy).map(scope => scope.id);
+    }
+
+    /**
+     * Save the async function's frame, scopes and evaluator roots and hand
+     * control back to whoever started or resumed it
+     * @returns {Promise<Object>} Settles with { threw, value } when it resumes
+     */
+    function suspendCoroutine(coroutine, line, awaited) {
+        coroutine.scopeIds = getCoroutineScopeIds(coroutine);
+        coroutine.frame = StateManager.suspendFrame({ resumeLine: line, awaiting: formatValue(awaited) });
+        StateManager.setScopesSuspended(coroutine.scopeIds, true);
+        activeFunctions.pop();
+        coroutine.savedRoots = detachStatementRoots(coroutine.rootsDepth);
+        StateManager.logConsole('info', `${coroutine.name} suspended at await (line ${line})`);
+
+        return new Promise(resolve => {
+            coroutine.resume = resolve;
+            coroutine.pause();
+        });
+    }
+
+    /**
+     * Continuation job: restore the suspended frame on top of the stack and
+     * run the function until its next await or its end
+     */
+    async function resumeCoroutine(coroutine, outcome) {
+        StateManager.resumeFrame(coroutine.frame);
+        StateManager.setScopesSuspended(coroutine.scopeIds, false);
+        activeFunctions.push(coroutine.func);
+        coroutine.rootsDepth = statementRoots.length;
+        attachStatementRoots(coroutine.savedRoots);
+        coroutine.savedRoots = [];
+        // The event loop called the continuation, not the original call site
+        coroutine.caller.line = 0;
+        StateManager.logConsole('info', `${coroutine.name} resumed`);
+        await delay();
+
+        await runUntilPause(coroutine, () => coroutine.resume(outcome));
+        return undefined;
+    }
+
+    /**
+     * Take the statement roots above `depth` off the evaluator while their
+     * statements are suspended
+     */
+    function detachStatementRoots(depth) {
+        const allocations = StateManager.getState().heapIdCounter;
+        const levels = statementRoots.splice(depth);
+        const inner = levels[levels.length - 1];
+        if (inner) inner.ranges[inner.ranges.length - 1][1] = allocations;
+        const parent = statementRoots[statementRoots.length - 1];
+        if (parent) parent.ranges.push([allocations, null]);
+        return levels;
+    }
+
+    function attachStatementRoots(levels) {
+        const allocations = StateManager.getState().heapIdCounter;
+        const parent = statementRoots[statementRoots.length - 1];
+        if (parent) parent.ranges[parent.ranges.length - 1][1] = allocations;
+        statementRoots.push(...levels);
+        const inner = levels[levels.length - 1];
+        if (inner) inner.ranges.push([allocations, null]);
+    }
+
+    /**
+     * Report rejections nothing handled by the time the microtask queue drained
+     */
+    function reportUnhandledRejections() {
+        unhandledRejections.forEach(reason => {
+            StateManager.logConsole('error', `Uncaught (in promise) ${describeException(reason)}`);
+        });
+        unhandledRejections.clear();
+    }
+
+    /**
+     * Execute return statement
+     */
+    async function executeReturn(instruction) {
+        const value = await resolveValue(instruction.argument);
+        return { type: Completion.RETURN, value };
+    }
+
+    /**
+     * Execute new Object creation
+     */
+    async function executeNewObject(node) {
+        const { callee } = node;
+
+        // Built-in constructors (Object, Date, ...) are not simulated
+        if (callee.type === 'Identifier' && !resolveBinding(callee.name, false) && !isBuiltInGlobal(callee.name)) {
+            await resolveArguments(node.arguments);
+            return StateManager.allocateHeap('object', {});
+        }
+
+        const constructor = await resolveValue(callee);
+        const args = await resolveArguments(node.arguments);
+        const target = getHeapObject(constructor);
+        if (target && target.type === 'function' && target.value.native === 'Promise') {
+            return constructPromise(args[0], getLine(node));
+        }
+        if (target && target.type === 'function' && ERROR_TYPES.includes(target.value.native)) {
+            return constructError(target.value.native, args);
+        }
+        if (!target || target.type !== 'function' || target.value.arrow || target.value.method ||
+            target.value.native || target.value.async) {
+            throwError('TypeError', `${describeNode(callee)} is not a constructor`);
+        }
+
+        // 1. Create the instance and link it to Constructor.prototype
+        const name = describeNode(callee);
+        const instance = StateManager.allocateHeap('object', {});
+        StateManager.logConsole('info', `new ${name}: created ${instance}`);
+        await delay();
+
+        StateManager.setHeapPrototype(instance, getProperty(constructor, 'prototype'));
+        StateManager.logConsole('info', `new ${name}: ${instance}.[[Prototype]] = ${name}.prototype`);
+        await delay();
+
+        // 2. Run the constructor body with `this` bound to the instance;
+        //    it yields the instance unless the body returns an object
+        return executeFunctionCall(constructor, args, {
+            label: name, line: getLine(node), thisArg: instance, thisRule: 'new'
+        });
+    }
+
+    function isNullish(value) {
+        return value === null || value === undefined;
+    }
+
+    /**
+     * Whether a value is an object (heap ref, literal object/array or window)
+     */
+    function isObjectValue(value) {
+        return getHeapObject(value) !== null || (typeof value === 'object' && value !== null);
+    }
+
+    /**
+     * Process event loop (microtasks and callbacks)
+     */
+    async function processEventLoop() {
+        // Process all microtasks first (re-read state: callbacks may queue more)
+        while (pendingMicrotasks.length > 0) {
+            const task = StateManager.processNextMicrotask();
+            StateManager.logConsole('info', `Executing microtask: ${task.name}`);
+            await delay();
+
+            // A job runs its handler and settles whatever waits on it
+            await pendingMicrotasks[0].run();
+            pendingMicrotasks.shift();
+        }
+        reportUnhandledRejections();
+        
+        // Nothing runnable: jump the clock to the next timer(s) due
+        if (StateManager.getState().eventLoop.callbackQueue.length === 0) {
+            await advanceToNextTimer();
+        }
+        
+        // Process one callback
+        const callback = StateManager.processNextCallback();
+        if (callback && callback.callback) {
+            dequeuedCallback = callback;
+            StateManager.logConsole('info', `Executing callback: ${describeTimer(callback)}`);
+            await delay();
+            
+            // Execute callback code in its own execution context
+            await runTask(callback.callback, callback.args, { label: `${callback.name} callback` });
+            if (callback.interval && !callback.cleared) rearmInterval(callback);
+            dequeuedCallback = null;
+        }
+        
+        return hasPendingTasks();
+    }
+
+    /**
+     * Advance the virtual clock to the earliest due timer and queue every
+     * timer due by then, ordered by due time then registration order
+     */
+    async function advanceToNextTimer() {
+        const byDueTime = (a, b) => a.dueTime - b.dueTime || a.sequence - b.sequence;
+        const timers = StateManager.getState().eventLoop.webAPIs
+            .filter(task => task.type === 'timer')
+            .sort(byDueTime);
+        if (timers.length === 0) return;
+
+        const dueTime = timers[0].dueTime;
+        if (dueTime > StateManager.getState().clock) {
+            StateManager.logConsole('info', `Clock advanced to ${dueTime}ms`);
+            StateManager.advanceClock(dueTime);
+            await delay();
+        }
+        timers.filter(task => task.dueTime <= dueTime)
+            .forEach(task => StateManager.moveToCallbackQueue(task.id));
+    }
+
+    /**
+     * Run a queued callback; an exception it does not catch ends only this task
+     */
+    async function runTask(callback, args, caller) {
+        try {
+            await executeFunctionCall(callback, args, caller);
+        } catch (error) {
+            if (!isThrowCompletion(error)) throw error;
+            unwindScopes(globalScope.id, error.value);
+            reportUncaught(error.value);
+        }
+    }
+
+    /**
+     * Check if there are pending async tasks
+     */
+    function hasPendingTasks() {
+        const state = StateManager.getState();
+        return state.eventLoop.webAPIs.length > 0 ||
+               state.eventLoop.callbackQueue.length > 0 ||
+               state.eventLoop.microtaskQueue.length > 0 ||
+               pendingMicrotasks.length > 0;
+    }
+
+    /**
+     * Resolve an expression node to a value
+     */
+    async function resolveValue(node) {
+        if (!node) return undefined;
+        
+        switch (node.type) {
+            case 'Literal':
+                return node.value;
+                
+            case 'ArrayExpression': {
+                // Elements are evaluated (and nested literals allocated) first
+                const items = [];
+                for (const element of node.elements) {
+                    items.push(await resolveValue(element));
+                }
+                return StateManager.allocateHeap('array', items);
+            }
+                
+            case 'ObjectExpression': {
+                const obj = {};
+                for (const property of node.properties) {
+                    if (property.type !== 'Property' || property.computed) continue;
+                    const key = getPropertyKey(property);
+                    obj[key] = await resolveNamedValue(property.value, key);
+                }
+                return StateManager.allocateHeap('object', obj);
+            }
+                
+            case 'Identifier':
+                return lookupVariable(node.name);
+                
+            case 'ThisExpression':
+                return lookupVariable('this');
+                
+            case 'Super':
+                return getSuperBase();
+                
+            case 'MemberExpression': {
+                const object = await resolveValue(node.object);
+                if (node.optional && isNullish(object)) throw SHORT_CIRCUIT;
+                return pinValue(getProperty(object, await resolveMemberKey(node)));
+            }
+
+            case 'ChainExpression':
+                try {
+                    return await resolveValue(node.expression);
+                } catch (error) {
+                    if (error !== SHORT_CIRCUIT) throw error;
+                    return undefined;
+                }
+                
+            case 'TemplateLiteral':
+                return evaluateTemplate(node);
+                
+            case 'AssignmentExpression':
+                return executeAssignment(node);
+                
+            case 'UpdateExpression':
+                return executeUpdate(node);
+                
+            case 'BinaryExpression':
+                return evaluateBinary(node);
+                
+            case 'LogicalExpression':
+                return evaluateLogical(node);
+                
+            case 'UnaryExpression':
+                return evaluateUnary(node);
+                
+            case 'ConditionalExpression':
+                return toBoolean(await resolveValue(node.test))
+                    ? resolveValue(node.consequent)
+                    : resolveValue(node.alternate);
+                
+            case 'SequenceExpression': {
+                let result;
+                for (const expression of node.expressions) {
+                    result = await resolveValue(expression);
+                }
+                return result;
+            }
+                
+            case 'CallExpression':
+                return executeCall(node);
+                
+            case 'NewExpression':
+                return executeNewObject(node);
+                
+            case 'AwaitExpression':
+                return executeAwait(node);
+
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                return createFunction(node);
+                
+            case 'ClassExpression':
+                return executeClass(node);
+                
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Resolve an initializer, naming anonymous functions after their binding
+     */
+    async function resolveNamedValue(node, name) {
+        if (isFunctionNode(node)) return createFunction(node, name);
+        if (node && node.type === 'ClassExpression' && !node.id) return executeClass(node, name);
+        return resolveValue(node);
+    }
+
+    /**
+     * Allocate a heap function object for a function node
+     * @param {Object} extra - Overrides for class methods ({ method, homeObject, strict })
+     */
+    function createFunction(node, name = '', extra = {}) {
+        return StateManager.allocateHeap('function', {
+            name: node.id ? node.id.name : name,
+            params: node.params.map(getParamName),
+            body: node.body,
+            expression: Boolean(node.expression),
+            arrow: node.type === 'ArrowFunctionExpression',
+            ...(node.async && { async: true }),
+            properties: {},
+            strict: isStrictMode() || (!node.expression && hasUseStrict(node.body.body)),
+            line: getLine(node),
+            closure: getCurrentScopeId(),
+            ...extra
+        });
+    }
+
+    /**
+     * Property key of a member expression: `obj.key` or the evaluated `obj[expr]`
+     */
+    async function resolveMemberKey(node) {
+        if (!node.computed) return node.property.name;
+        return toString(await resolveValue(node.property));
+    }
+
+    /**
+     * Resolve a list of argument nodes
+     */
+    async function resolveArguments(args) {
+        const values = [];
+        for (const arg of args) {
+            values.push(await resolveValue(arg));
+        }
+        return values;
+    }
+
+    /**
+     * Read a variable; undeclared names are a ReferenceError unless `typeof` asks
+     */
+    function lookupVariable(name, allowUndeclared = false) {
+        if (hasOwn(GLOBAL_VALUES, name)) return GLOBAL_VALUES[name];
+
+        const scope = resolveBinding(name);
+        if (scope && scope.variables[name].uninitialized && name === 'this') {
+            throwError('ReferenceError', 'Must call super constructor in derived class ' +
+                "before accessing 'this' or returning from derived constructor");
+        }
+        if (scope && scope.variables[name].uninitialized) {
+            throwError('ReferenceError', `Cannot access '${name}' before initialization`);
+        }
+        if (scope) return scope.variables[name].value;
+        if (GLOBAL_OBJECT_NAMES.includes(name)) return StateManager.GLOBAL_OBJECT;
+        if (isBuiltInGlobal(name)) return getBuiltInGlobal(name);
+
+        if (!allowUndeclared) {
+            throwError('ReferenceError', `${name} is not defined`);
+        }
+        return undefined;
+    }
+
+    /**
+     * Walk the lexical chain (parentId links) from the current scope to the
+     * scope that binds `name`, tracing each hop for the Scope Chain panel
+     */
+    function resolveBinding(name, trace = true) {
+        const scopesById = new Map(StateManager.getState().scopes.map(scope => [scope.id, scope]));
+        const path = [];
+        let found = null;
+
+        for (let scope = scopesById.get(getCurrentScopeId()); scope; scope = scopesById.get(scope.parentId)) {
+            path.push(scope.id);
+            if (hasOwn(scope.variables, name)) {
+                found = scope;
+                break;
+            }
+        }
+
+        if (trace) StateManager.traceLookup(name, path, found ? found.id : null);
+        return found;
+    }
+
+    /**
+     * Get current scope ID (scopes kept alive by closures or parked at an await are not running)
+     */
+    function getCurrentScopeId() {
+        const active = StateManager.getState().scopes.filter(scope => !scope.retainedBy && !scope.suspended);
+        return active.length > 0 ? active[active.length - 1].id : null;
+    }
+
+    /**
+     * Read a property of an object, array, string or the global object;
+     * heap lookups are traced up the [[Prototype]] chain for the Heap panel
+     */
+    function getProperty(object, key, trace = true) {
+        if (object === null || object === undefined) {
+            throwError('TypeError', `Cannot read properties of ${object} (reading '${key}')`);
+        }
+        if (object === StateManager.GLOBAL_OBJECT) {
+            // Global var and function declarations are properties of window
+            const binding = globalScope.variables[key];
+            return binding && hasOwn(globalScope.variables, key) && binding.declarationType !== 'this'
+                ? binding.value
+                : undefined;
+        }
+
+        const heapObj = getHeapObject(object);
+        if (key === '__proto__' && heapObj) return heapObj.proto;
+        if (heapObj) {
+            // Own property first, then up the [[Prototype]] chain
+            const path = [];
+            const owner = findPropertyOwner(heapObj, key, path);
+            if (trace) StateManager.traceProperty(key, path, owner ? owner.id : null);
+            return owner ? getOwnProperties(owner)[key] : undefined;
+        }
+
+        if (typeof object === 'object' || typeof object === 'string') {
+            return hasOwn(object, key) ? object[key] : undefined;
+        }
+        return undefined;
+    }
+
+    /**
+     * Write a property of a heap object, raw literal value or the global object
+     */
+    function setProperty(object, key, value) {
+        if (object === null || object === undefined) {
+            throwError('TypeError', `Cannot set properties of ${object} (setting '${key}')`);
+        }
+        if (object === StateManager.GLOBAL_OBJECT) {
+            assignVariable(key, value);
+            return;
+        }
+
+        const heapObj = getHeapObject(object);
+        if (heapObj && key === '__proto__') {
+            setPrototypeOf(heapObj, value);
+        } else if (heapObj) {
+            StateManager.setHeapProperty(object, key, value);
+        } else if (typeof object === 'object') {
+            object[key] = value;
+        }
+        // Writes to primitives are silently dropped, as in sloppy mode
+    }
+
+    /**
+     * `obj.__proto__ = value`: relink the chain unless that would make a cycle;
+     * non-object values are ignored
+     */
+    function setPrototypeOf(heapObj, value) {
+        if (value !== null && !getHeapObject(value)) return;
+        for (let current = getHeapObject(value); current; current = getHeapObject(current.proto)) {
+            if (current.id === heapObj.id) {
+                throwError('TypeError', 'Cyclic __proto__ value');
+            }
+        }
+        StateManager.setHeapPrototype(StateManager.refTo(heapObj.id), value);
+        StateManager.logConsole('info', `${heapObj.id}.[[Prototype]] = ${value}`);
+    }
+
+    /**
+     * Walk the [[Prototype]] chain to the heap object that owns `key`
+     * @param {string[]} path - Collects the ids visited, for lookup tracing
+     */
+    function findPropertyOwner(heapObj, key, path = []) {
+        for (let current = heapObj; current; current = getHeapObject(current.proto)) {
+            path.push(current.id);
+            if (hasOwn(getOwnProperties(current), key)) return current;
+        }
+        return null;
+    }
+
+    /**
+     * Own properties of a heap object; functions expose name, length and a
+     * lazily created `prototype` object next to their assigned properties
+     */
+    function getOwnProperties(heapObj) {
+        if (heapObj.type !== 'function') return heapObj.value;
+
+        const definition = heapObj.value;
+        if (!definition.arrow && !definition.method && !definition.boundTarget && !definition.native &&
+            !hasOwn(definition.properties, 'prototype')) {
+            const constructor = StateManager.refTo(heapObj.id);
+            const prototype = StateManager.allocateHeap('object', { constructor });
+            StateManager.setHeapProperty(constructor, 'prototype', prototype);
+        }
+        return { name: definition.name, length: definition.params.length, ...definition.properties };
+    }
+
+    /**
+     * `value instanceof Constructor`: is Constructor.prototype on value's chain?
+     */
+    function isInstanceOf(value, constructor) {
+        const constructorObj = getHeapObject(constructor);
+        if (!constructorObj || constructorObj.type !== 'function') {
+            throwError('TypeError', "Right-hand side of 'instanceof' is not callable");
+        }
+        const prototype = getProperty(constructor, 'prototype', false);
+        const heapObj = getHeapObject(value);
+        for (let current = heapObj && getHeapObject(heapObj.proto); current; current = getHeapObject(current.proto)) {
+            if (StateManager.refTo(current.id) === prototype) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Whether the running code is strict mode code
+     */
+    function isStrictMode() {
+        const { callStack } = StateManager.getState();
+        return callStack.length > 0 && callStack[callStack.length - 1].strict;
+    }
+
+    /**
+     * Check a directive prologue for 'use strict'
+     */
+    function hasUseStrict(statements) {
+        for (const statement of statements) {
+            if (statement.type !== 'ExpressionStatement' || statement.expression.type !== 'Literal' ||
+                typeof statement.expression.value !== 'string') {
+                return false;
+            }
+            if (statement.expression.value === 'use strict') return true;
+        }
+        return false;
+    }
+
+    /**
+     * Short source-like description of a callee, for error messages
+     */
+    function describeNode(node) {
+        switch (node.type) {
+            case 'Identifier': return node.name;
+            case 'ThisExpression': return 'this';
+            case 'Super': return 'super';
+            case 'MemberExpression':
+                return node.computed
+                    ? `${describeNode(node.object)}[...]`
+                    : `${describeNode(node.object)}.${node.property.name}`;
+            case 'CallExpression': return `${describeNode(node.callee)}(...)`;
+            case 'ChainExpression': return describeNode(node.expression);
+            default: return 'expression';
+        }
+    }
+
+    /**
+     * Nearest function or global scope, where `var` declarations live
+     */
+    function getVarScopeId() {
+        const scopesById = new Map(StateManager.getState().scopes.map(scope => [scope.id, scope]));
+        let scope = scopesById.get(getCurrentScopeId());
+        while (scope && scope.type === 'block') {
+            scope = scopesById.get(scope.parentId);
+        }
+        return scope ? scope.id : getCurrentScopeId();
+    }
+
+    /**
+     * Whether a scope belongs to the running frame (its function scope or a block inside it)
+     */
+    function isFrameLocal(scopeId) {
+        const scopesById = new Map(StateManager.getState().scopes.map(scope => [scope.id, scope]));
+        for (let scope = scopesById.get(getCurrentScopeId()); scope; scope = scopesById.get(scope.parentId)) {
+            if (scope.id === scopeId) return true;
+            if (scope.type !== 'block') break;
+        }
+        return false;
+    }
+
+    function hasOwn(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    }
+
+    /**
+     * Get the source line of a node
+     */
+    function getLine(node) {
+        return node && node.loc ? node.loc.start.line : 0;
+    }
+
+    /**
+     * Stable key for a branch node, used to track dimmed source lines
+     */
+    function getBranchKey(node) {
+        return `${node.type}@${node.range[0]}`;
+    }
+
+    /**
+     * Source line range covered by a node
+     */
+    function getLineRange(node) {
+        return { startLine: node.loc.start.line, endLine: node.loc.end.line };
+    }
+
+    /**
+     * Get the name bound by a parameter node
+     */
+    function getParamName(param) {
+        if (param.type === 'AssignmentPattern') return param.left.name;
+        if (param.type === 'RestElement') return param.argument.name;
+        return param.name;
+    }
+
+    /**
+     * Get the key of an object literal property
+     */
+    function getPropertyKey(property) {
+        return property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+    }
+
+    /**
+     * Check if a value is a function definition node
+     */
+    function isFunctionNode(value) {
+        return typeof value === 'object' && value !== null &&
+            (value.type === 'FunctionExpression' || value.type === 'ArrowFunctionExpression' ||
+             value.type === 'FunctionDeclaration');
+    }
+
+    /**
+     * Get heap object for a reference, if the value is one
+     */
+    function getHeapObject(value) {
+        if (!StateManager.isHeapRef(value)) return null;
+        return StateManager.getState().heap.get(value.id) || null;
+    }
+
+    /**
+     * Get value type string
      */
     function getValueType(value) {
         if (value === null) return 'null';
         if (value === undefined) return 'undefined';
         if (Array.isArray(value)) return 'array';
-        if (typeof value === 'object' && value.type === 'function') return 'function';
-        if (typeof value === 'object' && value.type === 'arrowFunction') return 'function';
+        const heapObj = getHeapObject(value);
+        if (heapObj) return heapObj.type;
+        return typeof value;
+    }
+
+    /**
+     * Result of the `typeof` operator
+     */
+    function typeOf(value) {
+        if (value === null) return 'object';
+        const heapObj = getHeapObject(value);
+        if (heapObj) return heapObj.type === 'function' ? 'function' : 'object';
+        if (typeof value === 'object') return 'object';
         return typeof value;
     }
 
+    /**
+     * Convert heap references and literal objects to a primitive
+     */
+    function toPrimitive(value) {
+        const heapObj = getHeapObject(value);
+        if (heapObj && heapObj.type === 'function' && heapObj.value.native) {
+            return `function ${heapObj.value.name}() { [native code] }`;
+        }
+        if (heapObj && heapObj.type === 'function' && heapObj.value.classKind) {
+            return `class ${heapObj.value.name} { [code] }`;
+        }
+        if (heapObj && heapObj.type === 'function') {
+            return `${heapObj.value.async ? 'async ' : ''}function ${heapObj.value.name}() { [code] }`;
+        }
+        if (heapObj && isErrorObject(heapObj)) return errorToString(value);
+        if (heapObj && heapObj.promise) return '[object Promise]';
+        if (heapObj) value = heapObj.value;
+        if (value === StateManager.GLOBAL_OBJECT) return '[object Window]';
+
+        if (Array.isArray(value)) return value.map(v => (v === null || v === undefined ? '' : toString(v))).join(',');
+        if (typeof value === 'object' && value !== null) return '[object Object]';
+        return value;
+    }
+
+    function toString(value) {
+        return String(toPrimitive(value));
+    }
+
+    function toNumber(value) {
+        return Number(toPrimitive(value));
+    }
+
+    function toBoolean(value) {
+        return Boolean(value);
+    }
+
     /**
      * Format value for display
      */
     function formatValue(value) {
         if (value === undefined) return 'undefined';
         if (value === null) return 'null';
+        if (value === StateManager.GLOBAL_OBJECT) return 'window';
+        const heapObj = getHeapObject(value);
+        if (heapObj) return formatHeapObject(heapObj);
         if (typeof value === 'string') return `"${value}"`;
         if (typeof value === 'function') return '[Function]';
         if (Array.isArray(value)) {
@@ -526,9 +3259,6 @@ const Executor = (function() {
             return `[${value.length} items]`;
         }
         if (typeof value === 'object') {
-            if (value.type === 'function' || value.type === 'arrowFunction') {
-                return '[Function]';
-            }
             const keys = Object.keys(value);
             if (keys.length <= 2) {
                 return `{${keys.map(k => `${k}: ${formatValue(value[k])}`).join(', ')}}`;
@@ -538,6 +3268,40 @@ const Executor = (function() {
         return String(value);
     }
 
+    /**
+     * Like formatValue, but errors print their stack trace as in DevTools
+     */
+    function formatConsoleValue(value) {
+        const heapObj = getHeapObject(value);
+        if (heapObj && isErrorObject(heapObj)) {
+            const stack = getProperty(value, 'stack', false);
+            if (typeof stack === 'string') return stack;
+        }
+        return formatValue(value);
+    }
+
+    /**
+     * Format a heap object for display
+     */
+    function formatHeapObject(heapObj) {
+        if (heapObj.type === 'function' && heapObj.value.classKind) {
+            return `[class ${heapObj.value.name || '(anonymous)'}]`;
+        }
+        if (heapObj.type === 'function') {
+            return `[${heapObj.value.async ? 'AsyncFunction' : 'Function'}: ${heapObj.value.name || 'anonymous'}]`;
+        }
+        if (isErrorObject(heapObj)) return errorToString(StateManager.refTo(heapObj.id));
+        if (heapObj.promise) return formatPromise(heapObj.promise);
+        return formatValue(heapObj.value);
+    }
+
+    /**
+     * "Promise {<pending>}", "Promise {<fulfilled>: 42}"
+     */
+    function formatPromise({ state, result }) {
+        return state === 'pending' ? 'Promise {<pending>}' : `Promise {<${state}>: ${formatValue(result)}}`;
+    }
+
     /**
      * Delay for visualization
      */
@@ -630,7 +3394,7 @@ const Executor = (function() {
         stop();
         currentIndex = 0;
         executionStack = [];
-        pendingTimers = [];
+        dequeuedCallback = null;
         pendingMicrotasks = [];
         StateManager.reset();
     }
@@ -644,6 +3408,8 @@ const Executor = (function() {
         resume,
         stop,
         reset,
+        collectGarbage,
+        getHeapGraph,
         hasPendingTasks
     };
 })();
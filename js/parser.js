@@ -1,6 +1,6 @@
 /**
- * Parser - Simplified JavaScript code parser
- * Parses code into executable instructions for the visualizer
+ * Parser - JavaScript tokenizer and recursive-descent parser
+ * Parses code into an ESTree-shaped AST for the executor
  */
 
 const Parser = (function() {
@@ -8,430 +8,1759 @@ const Parser = (function() {
      * Token types
      */
     const TokenType = {
-        VAR: 'var',
-        LET: 'let',
-        CONST: 'const',
-        FUNCTION: 'function',
-        RETURN: 'return',
-        IF: 'if',
-        ELSE: 'else',
-        SETTIMEOUT: 'setTimeout',
-        PROMISE: 'Promise',
-        CONSOLE: 'console',
-        THIS: 'this',
-        NEW: 'new',
+        KEYWORD: 'keyword',
         IDENTIFIER: 'identifier',
         NUMBER: 'number',
         STRING: 'string',
-        BOOLEAN: 'boolean',
-        OBJECT: 'object',
-        ARRAY: 'array',
-        ARROW: '=>',
-        CALL: 'call',
-        ASSIGNMENT: 'assignment',
-        EXPRESSION: 'expression'
+        TEMPLATE: 'template',
+        PRIVATE_NAME: 'privateName',
+        PUNCTUATOR: 'punctuator',
+        EOF: 'eof'
     };
 
     /**
-     * Parse code into instructions
+     * Reserved words
+     */
+    const KEYWORDS = new Set([
+        'var', 'let', 'const', 'function', 'return', 'if', 'else',
+        'for', 'while', 'do', 'break', 'continue', 'switch', 'case', 'default',
+        'new', 'this', 'typeof', 'instanceof', 'in', 'delete', 'void',
+        'null', 'true', 'false', 'class', 'extends', 'super',
+        'throw', 'try', 'catch', 'finally', 'yield', 'debugger', 'with'
+    ]);
+
+    /**
+     * Statements the parser recognizes but does not support yet
+     */
+    const UNSUPPORTED_STATEMENTS = new Set([
+        'yield', 'debugger', 'with'
+    ]);
+
+    /**
+     * Punctuators, longest first so the tokenizer matches greedily
+     */
+    const PUNCTUATORS = [
+        '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+        '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--',
+        '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+        '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/',
+        '%', '&', '|', '^', '!', '~', '?', ':', '=', '.'
+    ];
+
+    /**
+     * Binary operator precedence (higher binds tighter)
+     */
+    const BINARY_PRECEDENCE = {
+        '??': 1,
+        '||': 2,
+        '&&': 3,
+        '|': 4,
+        '^': 5,
+        '&': 6,
+        '==': 7, '!=': 7, '===': 7, '!==': 7,
+        '<': 8, '>': 8, '<=': 8, '>=': 8, 'instanceof': 8, 'in': 8,
+        '<<': 9, '>>': 9, '>>>': 9,
+        '+': 10, '-': 10,
+        '*': 11, '/': 11, '%': 11,
+        '**': 12
+    };
+
+    const LOGICAL_OPERATORS = new Set(['&&', '||', '??']);
+
+    const ASSIGNMENT_OPERATORS = new Set([
+        '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=',
+        '&=', '|=', '^=', '&&=', '||=', '??='
+    ]);
+
+    const UNARY_OPERATORS = new Set(['!', '-', '+', '~', 'typeof', 'void', 'delete']);
+
+    /**
+     * Node types the executor cannot run yet, reported as warnings
+     */
+    const UNSUPPORTED_NODES = {
+        SpreadElement: 'spread syntax',
+        AssignmentPattern: 'default parameter',
+        RestElement: 'rest parameter'
+    };
+
+    /**
+     * Diagnostic kinds and their severity
+     */
+    const DiagnosticKind = {
+        SYNTAX: 'syntax',
+        UNSUPPORTED: 'unsupported'
+    };
+
+    const Severity = {
+        ERROR: 'error',
+        WARNING: 'warning'
+    };
+
+    // Parser position (saved and restored around template expressions)
+    let tokens = [];
+    let index = 0;
+    let diagnostics = [];
+
+    // Enclosing statements `break` / `continue` can target, reset inside functions
+    let breakableDepth = 0;
+    let loopDepth = 0;
+    let inFunction = false;
+
+    // Where `super.x` (methods) and `super(...)` (derived constructors) are valid
+    let superProperty = false;
+    let superCall = false;
+
+    // False while parsing a for-statement head, where `in` starts a for-in loop
+    let allowIn = true;
+
+    // Inside an async function body, where `await` is an operator
+    let inAsync = false;
+
+    /**
+     * Create a SyntaxError carrying its source position
+     */
+    function createSyntaxError(message, line, column, kind = DiagnosticKind.SYNTAX) {
+        const error = new SyntaxError(`${message} (${line}:${column + 1})`);
+        error.description = message;
+        error.line = line;
+        error.column = column;
+        error.kind = kind;
+        return error;
+    }
+
+    /**
+     * Record a diagnostic
+     */
+    function report(kind, message, loc) {
+        diagnostics.push({
+            line: loc.start.line,
+            column: loc.start.column,
+            endLine: loc.end.line,
+            endColumn: loc.end.column,
+            message,
+            severity: kind === DiagnosticKind.SYNTAX ? Severity.ERROR : Severity.WARNING,
+            kind
+        });
+    }
+
+    /**
+     * Record a diagnostic from an error thrown while tokenizing or parsing
+     */
+    function reportError(error) {
+        if (!(error instanceof SyntaxError) || error.line === undefined) throw error;
+
+        // One syntax error per line is enough; later ones are usually follow-on errors
+        if (error.kind === DiagnosticKind.SYNTAX &&
+            diagnostics.some(d => d.kind === DiagnosticKind.SYNTAX && d.line === error.line)) {
+            return;
+        }
+
+        const position = { line: error.line, column: error.column };
+        report(error.kind, error.description, { start: position, end: position });
+    }
+
+    /**
+     * Split source code into tokens
      * @param {string} code - JavaScript code
-     * @returns {Array} Parsed instructions
+     * @param {Object} origin - Position of the code within the full source
+     * @param {function} onError - Receives invalid token errors; the rest of the line is skipped
+     * @returns {Array} Tokens ending with an EOF token
      */
-    function parse(code) {
-        const lines = code.split('\n');
-        const instructions = [];
-        let lineNumber = 0;
-        let inFunction = null;
-        let functionBody = [];
-        let braceCount = 0;
-        let functionStartLine = 0;
-
-        for (let i = 0; i < lines.length; i++) {
-            lineNumber = i + 1;
-            let line = lines[i].trim();
-            
-            // Skip empty lines and comments
-            if (!line || line.startsWith('//')) continue;
-
-            // Handle function body collection
-            if (inFunction !== null) {
-                braceCount += (line.match(/{/g) || []).length;
-                braceCount -= (line.match(/}/g) || []).length;
-                
-                if (braceCount === 0) {
-                    // Function ends
-                    inFunction.body = functionBody.join('\n');
-                    inFunction.endLine = lineNumber;
-                    instructions.push(inFunction);
-                    inFunction = null;
-                    functionBody = [];
+    function tokenize(code, origin = { offset: 0, line: 1, column: 0 }, onError = null) {
+        const result = [];
+        let pos = 0;
+        let line = origin.line;
+        let lineStart = -origin.column;
+        let newlineBefore = false;
+
+        function position() {
+            return { line, column: pos - lineStart };
+        }
+
+        function fail(message) {
+            throw createSyntaxError(message, line, pos - lineStart);
+        }
+
+        function newline(at) {
+            line++;
+            lineStart = at + 1;
+        }
+
+        function readEscape() {
+            const ch = code[pos++];
+            switch (ch) {
+                case 'n': return '\n';
+                case 't': return '\t';
+                case 'r': return '\r';
+                case 'b': return '\b';
+                case 'f': return '\f';
+                case 'v': return '\v';
+                case '0': return '\0';
+                case 'x': {
+                    const hex = code.substr(pos, 2);
+                    pos += 2;
+                    return String.fromCharCode(parseInt(hex, 16));
+                }
+                case 'u': {
+                    const hex = code.substr(pos, 4);
+                    pos += 4;
+                    return String.fromCharCode(parseInt(hex, 16));
+                }
+                case '\n':
+                    newline(pos - 1);
+                    return '';
+                default:
+                    return ch;
+            }
+        }
+
+        function readString(quote) {
+            let value = '';
+            pos++;
+            while (code[pos] !== quote) {
+                if (pos >= code.length || code[pos] === '\n') fail('Unterminated string literal');
+                if (code[pos] === '\\') {
+                    pos++;
+                    value += readEscape();
                 } else {
-                    functionBody.push(lines[i]);
+                    value += code[pos++];
                 }
-                continue;
             }
+            pos++;
+            return value;
+        }
 
-            // Parse function declaration
-            const funcMatch = line.match(/^function\s+(\w+)\s*\(([^)]*)\)\s*{?/);
-            if (funcMatch) {
-                inFunction = {
-                    type: 'functionDeclaration',
-                    name: funcMatch[1],
-                    params: funcMatch[2].split(',').map(p => p.trim()).filter(p => p),
-                    line: lineNumber,
-                    body: ''
-                };
-                braceCount = (line.match(/{/g) || []).length;
-                braceCount -= (line.match(/}/g) || []).length;
-                functionStartLine = lineNumber;
-                if (braceCount === 0 && line.includes('{') && line.includes('}')) {
-                    // Single line function
-                    const bodyMatch = line.match(/{(.*)}/);
-                    inFunction.body = bodyMatch ? bodyMatch[1].trim() : '';
-                    inFunction.endLine = lineNumber;
-                    instructions.push(inFunction);
-                    inFunction = null;
+        function readTemplate() {
+            const parts = [];
+            let raw = '';
+            let cooked = '';
+            pos++;
+            while (code[pos] !== '`') {
+                if (pos >= code.length) fail('Unterminated template literal');
+                if (code[pos] === '\\') {
+                    const escapeStart = pos;
+                    pos++;
+                    cooked += readEscape();
+                    raw += code.slice(escapeStart, pos);
+                } else if (code[pos] === '$' && code[pos + 1] === '{') {
+                    parts.push({ type: 'quasi', raw, cooked });
+                    raw = '';
+                    cooked = '';
+                    pos += 2;
+                    const exprOrigin = { offset: origin.offset + pos, ...position() };
+                    const exprStart = pos;
+                    let depth = 1;
+                    while (depth > 0) {
+                        if (pos >= code.length) fail('Unterminated template literal');
+                        const ch = code[pos];
+                        if (ch === '{') depth++;
+                        if (ch === '}') depth--;
+                        if (ch === '\n') newline(pos);
+                        if (ch === '"' || ch === "'") {
+                            readString(ch);
+                            continue;
+                        }
+                        pos++;
+                    }
+                    parts.push({ type: 'expression', code: code.slice(exprStart, pos - 1), origin: exprOrigin });
+                } else {
+                    if (code[pos] === '\n') newline(pos);
+                    raw += code[pos];
+                    cooked += code[pos];
+                    pos++;
                 }
-                continue;
             }
+            pos++;
+            parts.push({ type: 'quasi', raw, cooked });
+            return parts;
+        }
+
+        while (pos < code.length) {
+            const ch = code[pos];
 
-            // Parse variable declaration
-            const varMatch = line.match(/^(var|let|const)\s+(\w+)\s*=\s*(.+?);?$/);
-            if (varMatch) {
-                const instruction = {
-                    type: 'variableDeclaration',
-                    declarationType: varMatch[1],
-                    name: varMatch[2],
-                    value: parseValue(varMatch[3]),
-                    line: lineNumber
-                };
-                instructions.push(instruction);
+            if (ch === '\n') {
+                newline(pos);
+                pos++;
+                newlineBefore = true;
                 continue;
             }
-
-            // Parse variable declaration without assignment
-            const varDeclMatch = line.match(/^(var|let|const)\s+(\w+)\s*;?$/);
-            if (varDeclMatch) {
-                instructions.push({
-                    type: 'variableDeclaration',
-                    declarationType: varDeclMatch[1],
-                    name: varDeclMatch[2],
-                    value: { type: 'undefined', value: undefined },
-                    line: lineNumber
-                });
+            if (/\s/.test(ch)) {
+                pos++;
                 continue;
             }
 
-            // Parse setTimeout
-            const setTimeoutMatch = line.match(/setTimeout\s*\(\s*(?:function\s*\(\)\s*{([^}]*)}\s*|(\w+))\s*,\s*(\d+)\s*\)/);
-            if (setTimeoutMatch) {
-                instructions.push({
-                    type: 'setTimeout',
-                    callback: setTimeoutMatch[1] || setTimeoutMatch[2],
-                    delay: parseInt(setTimeoutMatch[3]),
-                    line: lineNumber
-                });
+            // Comments
+            if (ch === '/' && code[pos + 1] === '/') {
+                while (pos < code.length && code[pos] !== '\n') pos++;
                 continue;
             }
-
-            // Parse setTimeout with arrow function
-            const setTimeoutArrowMatch = line.match(/setTimeout\s*\(\s*\(\)\s*=>\s*{?\s*([^}]*?)\s*}?\s*,\s*(\d+)\s*\)/);
-            if (setTimeoutArrowMatch) {
-                instructions.push({
-                    type: 'setTimeout',
-                    callback: setTimeoutArrowMatch[1].trim(),
-                    delay: parseInt(setTimeoutArrowMatch[2]),
-                    line: lineNumber
-                });
+            if (ch === '/' && code[pos + 1] === '*') {
+                const end = code.indexOf('*/', pos + 2);
+                if (end === -1) fail('Unterminated comment');
+                for (let i = pos; i < end; i++) {
+                    if (code[i] === '\n') {
+                        newline(i);
+                        newlineBefore = true;
+                    }
+                }
+                pos = end + 2;
                 continue;
             }
 
-            // Parse Promise.resolve().then()
-            const promiseMatch = line.match(/Promise\.resolve\s*\([^)]*\)\s*\.then\s*\(\s*(?:function\s*\(\)\s*{([^}]*)}\s*|\(\)\s*=>\s*{?\s*([^})]*?)\s*}?)\s*\)/);
-            if (promiseMatch) {
-                instructions.push({
-                    type: 'promise',
-                    callback: (promiseMatch[1] || promiseMatch[2] || '').trim(),
-                    line: lineNumber
-                });
+            const start = pos;
+            const startLoc = position();
+            let type;
+            let value;
+
+            try {
+                [type, value] = readToken(ch);
+            } catch (error) {
+                if (!onError) throw error;
+                onError(error);
+                while (pos < code.length && code[pos] !== '\n') pos++;
                 continue;
             }
 
-            // Parse console.log
-            const consoleMatch = line.match(/console\.(log|warn|error|info)\s*\(([^)]*)\)/);
-            if (consoleMatch) {
-                instructions.push({
-                    type: 'console',
-                    method: consoleMatch[1],
-                    args: parseArguments(consoleMatch[2]),
-                    line: lineNumber
-                });
-                continue;
+            result.push({
+                type,
+                value,
+                raw: code.slice(start, pos),
+                range: [origin.offset + start, origin.offset + pos],
+                loc: { start: startLoc, end: position() },
+                newlineBefore
+            });
+            newlineBefore = false;
+        }
+
+        function readToken(ch) {
+            const start = pos;
+            let type;
+            let value;
+
+            if (/[A-Za-z_$]/.test(ch)) {
+                while (pos < code.length && /[\w$]/.test(code[pos])) pos++;
+                value = code.slice(start, pos);
+                type = KEYWORDS.has(value) ? TokenType.KEYWORD : TokenType.IDENTIFIER;
+            } else if (/\d/.test(ch) || (ch === '.' && /\d/.test(code[pos + 1]))) {
+                // Digits may be grouped with `_` separators (1_000), one at a time and between digits
+                const numberPattern = /0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?/y;
+                numberPattern.lastIndex = pos;
+                const match = numberPattern.exec(code);
+                if (/__|_$|_\.|\._|_[eE]|^0_|^0[xXbBoO]_/.test(match[0])) fail('Invalid numeric separator');
+                pos += match[0].length;
+                type = TokenType.NUMBER;
+                value = Number(match[0].replace(/_/g, ''));
+            } else if (ch === '#' && /[A-Za-z_$]/.test(code[pos + 1] || '')) {
+                pos++;
+                while (pos < code.length && /[\w$]/.test(code[pos])) pos++;
+                type = TokenType.PRIVATE_NAME;
+                value = code.slice(start, pos);
+            } else if (ch === '"' || ch === "'") {
+                type = TokenType.STRING;
+                value = readString(ch);
+            } else if (ch === '`') {
+                type = TokenType.TEMPLATE;
+                value = readTemplate();
+            } else {
+                const punctuator = PUNCTUATORS.find(p => code.startsWith(p, pos) &&
+                    !(p === '?.' && /\d/.test(code[pos + 2])));
+                if (!punctuator) fail(`Invalid or unexpected token '${ch}'`);
+                pos += punctuator.length;
+                type = TokenType.PUNCTUATOR;
+                value = punctuator;
             }
 
-            // Parse function call
-            const callMatch = line.match(/^(\w+)\s*\(([^)]*)\)\s*;?$/);
-            if (callMatch) {
-                instructions.push({
-                    type: 'functionCall',
-                    name: callMatch[1],
-                    args: parseArguments(callMatch[2]),
-                    line: lineNumber
-                });
-                continue;
+            return [type, value];
+        }
+
+        result.push({
+            type: TokenType.EOF,
+            value: null,
+            raw: '',
+            range: [origin.offset + pos, origin.offset + pos],
+            loc: { start: position(), end: position() },
+            newlineBefore: true
+        });
+
+        return result;
+    }
+
+    /**
+     * Parse code into an ESTree Program
+     * Statements that fail to parse are skipped and reported as diagnostics.
+     * @param {string} code - JavaScript code
+     * @returns {{program: Object, diagnostics: Array}} Program node and diagnostics
+     */
+    function parse(code) {
+        diagnostics = [];
+        index = 0;
+        breakableDepth = 0;
+        loopDepth = 0;
+        inFunction = false;
+        superProperty = false;
+        superCall = false;
+        allowIn = true;
+        inAsync = false;
+
+        tokens = tokenize(code, undefined, reportError);
+
+        const start = peek();
+        const body = parseStatementList(() => isEOF());
+        const program = finishNode({ type: 'Program', body, sourceType: 'script' }, start);
+
+        checkSupport(program);
+        diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+
+        return { program, diagnostics };
+    }
+
+    /**
+     * Parse a single expression from a string
+     * @param {string} code - Expression source
+     * @returns {Object} Expression node
+     */
+    function parseExpressionSource(code, origin) {
+        const saved = { tokens, index };
+        try {
+            tokens = tokenize(code, origin);
+            index = 0;
+
+            const expression = parseExpression();
+            if (!isEOF()) unexpected();
+            return expression;
+        } finally {
+            tokens = saved.tokens;
+            index = saved.index;
+        }
+    }
+
+    // ----- Token helpers -----
+
+    function peek(offset = 0) {
+        return tokens[Math.min(index + offset, tokens.length - 1)];
+    }
+
+    function next() {
+        const token = tokens[index];
+        if (index < tokens.length - 1) index++;
+        return token;
+    }
+
+    function isEOF() {
+        return peek().type === TokenType.EOF;
+    }
+
+    /**
+     * Check whether the current token is the given punctuator or keyword
+     */
+    function match(value, offset = 0) {
+        const token = peek(offset);
+        return (token.type === TokenType.PUNCTUATOR || token.type === TokenType.KEYWORD) &&
+            token.value === value;
+    }
+
+    function eat(value) {
+        if (match(value)) {
+            next();
+            return true;
+        }
+        return false;
+    }
+
+    function expect(value) {
+        if (!match(value)) unexpected(`Expected '${value}'`);
+        return next();
+    }
+
+    function unexpected(message) {
+        const token = peek();
+        if (token.type === TokenType.PRIVATE_NAME) unsupported(token, 'private class member');
+        const text = token.type === TokenType.EOF ? 'end of input' : `token '${token.raw}'`;
+        throw createSyntaxError(message ? `${message} but found ${text}` : `Unexpected ${text}`,
+            token.loc.start.line, token.loc.start.column);
+    }
+
+    function unsupported(token, what) {
+        throw createSyntaxError(`Unsupported ${what}`, token.loc.start.line, token.loc.start.column,
+            DiagnosticKind.UNSUPPORTED);
+    }
+
+    /**
+     * Attach loc and range spanning from the start token to the last consumed token
+     */
+    function finishNode(node, startToken) {
+        const endToken = tokens[Math.max(index - 1, 0)];
+        const end = index > 0 && endToken.range[1] >= startToken.range[0] ? endToken : startToken;
+        node.loc = { start: startToken.loc.start, end: end.loc.end };
+        node.range = [startToken.range[0], end.range[1]];
+        return node;
+    }
+
+    /**
+     * Consume a statement terminator, allowing automatic semicolon insertion
+     */
+    function consumeSemicolon() {
+        if (eat(';')) return;
+        if (match('}') || isEOF() || peek().newlineBefore) return;
+        unexpected();
+    }
+
+    // ----- Statements -----
+
+    /**
+     * Parse statements until `isEnd` returns true, recovering from errors
+     */
+    function parseStatementList(isEnd) {
+        const body = [];
+        while (!isEnd() && !isEOF()) {
+            const startIndex = index;
+            try {
+                body.push(parseStatement());
+            } catch (error) {
+                reportError(error);
+                index = startIndex;
+                skipStatement();
             }
+        }
+        return body;
+    }
 
-            // Parse method call (obj.method())
-            const methodCallMatch = line.match(/^(\w+)\.(\w+)\s*\(([^)]*)\)\s*;?$/);
-            if (methodCallMatch) {
-                instructions.push({
-                    type: 'methodCall',
-                    object: methodCallMatch[1],
-                    method: methodCallMatch[2],
-                    args: parseArguments(methodCallMatch[3]),
-                    line: lineNumber
-                });
-                continue;
+    /**
+     * Skip tokens up to the end of the current statement
+     */
+    function skipStatement() {
+        let depth = 0;
+        let skipped = 0;
+
+        while (!isEOF()) {
+            const token = peek();
+            if (skipped > 0 && depth === 0 && token.newlineBefore) return;
+
+            if (token.type === TokenType.PUNCTUATOR) {
+                if (token.value === '(' || token.value === '[' || token.value === '{') depth++;
+                if (token.value === ')' || token.value === ']' || token.value === '}') {
+                    // Leave the closing brace of an enclosing block in place
+                    if (depth === 0 && skipped > 0) return;
+                    depth = Math.max(depth - 1, 0);
+                }
             }
 
-            // Parse assignment
-            const assignMatch = line.match(/^(\w+)\s*=\s*(.+?);?$/);
-            if (assignMatch) {
-                instructions.push({
-                    type: 'assignment',
-                    name: assignMatch[1],
-                    value: parseValue(assignMatch[2]),
-                    line: lineNumber
-                });
-                continue;
+            next();
+            skipped++;
+            // A `}` closing at depth 0 may end a pattern (`const { a } = o`) or a
+            // clause (`if (x) {...} else`), so only a `;` or a new line ends the skip
+            if (depth === 0 && token.type === TokenType.PUNCTUATOR && token.value === ';') {
+                return;
             }
+        }
+    }
 
-            // Parse return statement
-            const returnMatch = line.match(/^return\s+(.+?);?$/);
-            if (returnMatch) {
-                instructions.push({
-                    type: 'return',
-                    value: parseValue(returnMatch[1]),
-                    line: lineNumber
-                });
-                continue;
+    function parseStatement() {
+        const token = peek();
+
+        if (token.type === TokenType.PUNCTUATOR) {
+            if (token.value === '{') return parseBlock();
+            if (token.value === ';') {
+                next();
+                return finishNode({ type: 'EmptyStatement' }, token);
             }
+        }
 
-            // Parse object creation with new
-            const newMatch = line.match(/^(var|let|const)\s+(\w+)\s*=\s*new\s+(\w+)\s*\(([^)]*)\)\s*;?$/);
-            if (newMatch) {
-                instructions.push({
-                    type: 'newObject',
-                    declarationType: newMatch[1],
-                    name: newMatch[2],
-                    constructor: newMatch[3],
-                    args: parseArguments(newMatch[4]),
-                    line: lineNumber
-                });
-                continue;
+        if (token.type === TokenType.KEYWORD) {
+            switch (token.value) {
+                case 'var':
+                case 'let':
+                case 'const': {
+                    const declaration = parseVariableDeclaration();
+                    consumeSemicolon();
+                    return finishNode(declaration, token);
+                }
+                case 'function':
+                    return parseFunction(true);
+                case 'class':
+                    return parseClass(true);
+                case 'return':
+                    return parseReturn();
+                case 'if':
+                    return parseIf();
+                case 'switch':
+                    return parseSwitch();
+                case 'break':
+                    return parseBreak();
+                case 'continue':
+                    return parseContinue();
+                case 'for':
+                    return parseFor();
+                case 'while':
+                    return parseWhile();
+                case 'do':
+                    return parseDoWhile();
+                case 'throw':
+                    return parseThrow();
+                case 'try':
+                    return parseTry();
+                default:
+                    if (UNSUPPORTED_STATEMENTS.has(token.value)) {
+                        unsupported(token, `statement '${token.value}'`);
+                    }
+            }
+        }
+
+        if (isAsyncFunctionAhead()) return parseFunction(true, true);
+        if (token.type === TokenType.IDENTIFIER && match(':', 1)) unsupported(token, 'labeled statement');
+
+        const expression = parseExpression();
+        consumeSemicolon();
+        return finishNode({ type: 'ExpressionStatement', expression }, token);
+    }
+
+    function parseBlock() {
+        const start = expect('{');
+        const body = parseStatementList(() => match('}'));
+        expect('}');
+        return finishNode({ type: 'BlockStatement', body }, start);
+    }
+
+    /**
+     * @param {boolean} isForInit - In a for head, where for-in/of declarations have no initializer
+     */
+    function parseVariableDeclaration(isForInit = false) {
+        const start = next();
+        const kind = start.value;
+        const declarations = [];
+
+        do {
+            const declStart = peek();
+            const id = parseBindingIdentifier();
+            let init = null;
+            if (eat('=')) {
+                init = parseAssignment();
+            } else if (kind === 'const' && !(isForInit && (matchOf() || match('in')))) {
+                unexpected('Missing initializer in const declaration');
+            }
+            declarations.push(finishNode({ type: 'VariableDeclarator', id, init }, declStart));
+        } while (eat(','));
+
+        return finishNode({ type: 'VariableDeclaration', declarations, kind }, start);
+    }
+
+    function parseBindingIdentifier() {
+        const token = peek();
+        if (token.type !== TokenType.IDENTIFIER) {
+            if (match('{') || match('[')) unsupported(token, 'destructuring pattern');
+            unexpected('Expected identifier');
+        }
+        next();
+        return finishNode({ type: 'Identifier', name: token.value }, token);
+    }
+
+    /**
+     * `async function` (no line break after `async`)
+     */
+    function isAsyncFunctionAhead() {
+        const token = peek();
+        return token.type === TokenType.IDENTIFIER && token.value === 'async' &&
+            match('function', 1) && !peek(1).newlineBefore;
+    }
+
+    /**
+     * Parse a function declaration or expression
+     * @param {boolean} isAsync - Preceded by `async`
+     */
+    function parseFunction(isDeclaration, isAsync = false) {
+        const start = isAsync ? next() : peek();
+        expect('function');
+        if (match('*')) unsupported(peek(), 'generator function');
+
+        let id = null;
+        if (isDeclaration || peek().type === TokenType.IDENTIFIER) {
+            id = parseBindingIdentifier();
+        }
+
+        const saved = { superProperty, superCall, inAsync };
+        superProperty = false;
+        superCall = false;
+        inAsync = isAsync;
+        let params;
+        let body;
+        try {
+            params = parseParams();
+            body = parseFunctionBody();
+        } finally {
+            ({ superProperty, superCall, inAsync } = saved);
+        }
+
+        return finishNode({
+            type: isDeclaration ? 'FunctionDeclaration' : 'FunctionExpression',
+            id,
+            params,
+            body,
+            async: isAsync,
+            generator: false,
+            expression: false
+        }, start);
+    }
+
+    /**
+     * Parse the params and body of an object or class method
+     */
+    function parseMethod(allowSuperProperty, allowSuperCall, isAsync = false) {
+        const saved = { superProperty, superCall, inAsync };
+        superProperty = allowSuperProperty;
+        superCall = allowSuperCall;
+        inAsync = isAsync;
+        try {
+            const start = peek();
+            const params = parseParams();
+            const body = parseFunctionBody();
+            return finishNode({
+                type: 'FunctionExpression',
+                id: null,
+                params,
+                body,
+                async: isAsync,
+                generator: false,
+                expression: false
+            }, start);
+        } finally {
+            ({ superProperty, superCall, inAsync } = saved);
+        }
+    }
+
+    /**
+     * Parse a class declaration or expression
+     */
+    function parseClass(isDeclaration) {
+        const start = expect('class');
+
+        let id = null;
+        if (isDeclaration || peek().type === TokenType.IDENTIFIER) {
+            id = parseBindingIdentifier();
+        }
+
+        let superClass = null;
+        if (eat('extends')) {
+            superClass = parseLeftHandSide();
+        }
+
+        const body = parseClassBody(superClass !== null);
+        return finishNode({
+            type: isDeclaration ? 'ClassDeclaration' : 'ClassExpression',
+            id,
+            superClass,
+            body
+        }, start);
+    }
+
+    function parseClassBody(isDerived) {
+        const start = expect('{');
+        const members = [];
+        let hasConstructor = false;
+
+        while (!match('}')) {
+            if (eat(';')) continue;
+            const member = parseClassMember(isDerived);
+            if (member.kind === 'constructor') {
+                if (hasConstructor) {
+                    throw createSyntaxError('A class may only have one constructor',
+                        member.loc.start.line, member.loc.start.column);
+                }
+                hasConstructor = true;
+            }
+            members.push(member);
+        }
+        expect('}');
+        return finishNode({ type: 'ClassBody', body: members }, start);
+    }
+
+    /**
+     * Parse a method, constructor or field inside a class body
+     */
+    function parseClassMember(isDerived) {
+        const start = peek();
+        const isModifier = (name) => peek().type === TokenType.IDENTIFIER && peek().value === name &&
+            !match('(', 1) && !match('=', 1) && !match(';', 1) && !match('}', 1);
+
+        const isStatic = isModifier('static');
+        if (isStatic) {
+            next();
+            if (match('{')) unsupported(peek(), 'static initialization block');
+        }
+
+        const isAsync = isModifier('async') && !peek(1).newlineBefore;
+        if (isAsync) next();
+
+        let kind = 'method';
+        if (!isAsync && (isModifier('get') || isModifier('set'))) {
+            kind = next().value;
+        }
+        if (match('*')) unsupported(peek(), 'generator method');
+
+        let computed = false;
+        let key;
+        const keyToken = peek();
+        if (eat('[')) {
+            computed = true;
+            key = parseExpression();
+            expect(']');
+        } else if (keyToken.type === TokenType.STRING || keyToken.type === TokenType.NUMBER) {
+            next();
+            key = finishNode({ type: 'Literal', value: keyToken.value, raw: keyToken.raw }, keyToken);
+        } else {
+            key = parsePropertyName();
+        }
+
+        if (kind !== 'method' || isAsync || match('(')) {
+            const isConstructor = !isStatic && !computed && kind === 'method' &&
+                (key.name === 'constructor' || key.value === 'constructor');
+            if (isConstructor && isAsync) {
+                throw createSyntaxError('Class constructor may not be an async method',
+                    keyToken.loc.start.line, keyToken.loc.start.column);
+            }
+            const value = parseMethod(true, isConstructor && isDerived, isAsync);
+            return finishNode({
+                type: 'MethodDefinition',
+                key,
+                computed,
+                static: isStatic,
+                kind: isConstructor ? 'constructor' : kind,
+                value
+            }, start);
+        }
+
+        // Field: initializers see `this` and `super.x` like a method body would
+        let value = null;
+        if (eat('=')) {
+            const saved = { superProperty, superCall };
+            superProperty = true;
+            superCall = false;
+            try {
+                value = parseAssignment();
+            } finally {
+                ({ superProperty, superCall } = saved);
+            }
+        }
+        consumeSemicolon();
+        return finishNode({ type: 'PropertyDefinition', key, computed, static: isStatic, value }, start);
+    }
+
+    /**
+     * Parse a function body; `break` cannot cross the function boundary
+     */
+    function parseFunctionBody() {
+        const saved = { breakableDepth, loopDepth, inFunction, allowIn };
+        breakableDepth = 0;
+        loopDepth = 0;
+        inFunction = true;
+        allowIn = true;
+        try {
+            return parseBlock();
+        } finally {
+            ({ breakableDepth, loopDepth, inFunction, allowIn } = saved);
+        }
+    }
+
+    function parseParams() {
+        expect('(');
+        const params = [];
+        while (!match(')')) {
+            const start = peek();
+            if (eat('...')) {
+                const argument = parseBindingIdentifier();
+                params.push(finishNode({ type: 'RestElement', argument }, start));
+                break;
+            }
+            const left = parseBindingIdentifier();
+            if (eat('=')) {
+                const right = parseAssignment();
+                params.push(finishNode({ type: 'AssignmentPattern', left, right }, start));
+            } else {
+                params.push(left);
             }
+            if (!match(')')) expect(',');
         }
+        expect(')');
+        return params;
+    }
+
+    function parseReturn() {
+        const start = next();
+        if (!inFunction) {
+            throw createSyntaxError('Illegal return statement', start.loc.start.line, start.loc.start.column);
+        }
+        let argument = null;
+        if (!match(';') && !match('}') && !isEOF() && !peek().newlineBefore) {
+            argument = parseExpression();
+        }
+        consumeSemicolon();
+        return finishNode({ type: 'ReturnStatement', argument }, start);
+    }
+
+    function parseThrow() {
+        const start = next();
+        if (peek().newlineBefore) {
+            throw createSyntaxError('Illegal newline after throw', start.loc.start.line, start.loc.start.column);
+        }
+        const argument = parseExpression();
+        consumeSemicolon();
+        return finishNode({ type: 'ThrowStatement', argument }, start);
+    }
+
+    function parseTry() {
+        const start = next();
+        const block = parseBlock();
+
+        let handler = null;
+        if (match('catch')) {
+            const catchStart = next();
+            let param = null;
+            if (eat('(')) {
+                param = parseBindingIdentifier();
+                expect(')');
+            }
+            handler = finishNode({ type: 'CatchClause', param, body: parseBlock() }, catchStart);
+        }
+        const finalizer = eat('finally') ? parseBlock() : null;
+        if (!handler && !finalizer) unexpected('Missing catch or finally after try');
+
+        return finishNode({ type: 'TryStatement', block, handler, finalizer }, start);
+    }
+
+    function parseIf() {
+        const start = next();
+        expect('(');
+        const test = parseExpression();
+        expect(')');
+        const consequent = parseStatement();
+        const alternate = eat('else') ? parseStatement() : null;
+        return finishNode({ type: 'IfStatement', test, consequent, alternate }, start);
+    }
+
+    function parseSwitch() {
+        const start = next();
+        expect('(');
+        const discriminant = parseExpression();
+        expect(')');
+        expect('{');
+
+        const cases = [];
+        let hasDefault = false;
+        breakableDepth++;
+        try {
+            while (!match('}')) {
+                const caseStart = peek();
+                let test = null;
+                if (match('default')) {
+                    if (hasDefault) unexpected('More than one default clause in switch statement');
+                    hasDefault = true;
+                    next();
+                } else {
+                    expect('case');
+                    test = parseExpression();
+                }
+                expect(':');
+                const consequent = parseStatementList(() => match('case') || match('default') || match('}'));
+                cases.push(finishNode({ type: 'SwitchCase', test, consequent }, caseStart));
+            }
+        } finally {
+            breakableDepth--;
+        }
+        expect('}');
 
-        return processHoisting(instructions);
+        return finishNode({ type: 'SwitchStatement', discriminant, cases }, start);
     }
 
     /**
-     * Parse a value expression
+     * Check for the contextual keyword `of`
      */
-    function parseValue(expr) {
-        expr = expr.trim();
-        
-        // Number
-        if (/^-?\d+(\.\d+)?$/.test(expr)) {
-            return { type: 'number', value: parseFloat(expr) };
+    function matchOf() {
+        return peek().type === TokenType.IDENTIFIER && peek().value === 'of';
+    }
+
+    /**
+     * Parse a loop body, tracking it as a break/continue target
+     */
+    function parseLoopBody() {
+        breakableDepth++;
+        loopDepth++;
+        try {
+            return parseStatement();
+        } finally {
+            breakableDepth--;
+            loopDepth--;
+        }
+    }
+
+    /**
+     * Parse for, for-in and for-of statements
+     */
+    function parseFor() {
+        const start = next();
+        if (peek().type === TokenType.IDENTIFIER && peek().value === 'await') unsupported(peek(), 'for await');
+        expect('(');
+
+        let init = null;
+        if (!match(';')) {
+            allowIn = false;
+            try {
+                if (match('var') || match('let') || match('const')) {
+                    const declStart = peek();
+                    init = finishNode(parseVariableDeclaration(true), declStart);
+                } else {
+                    init = parseExpression();
+                }
+            } finally {
+                allowIn = true;
+            }
+
+            if (matchOf() || match('in')) {
+                const isOf = next().value === 'of';
+                if (init.type === 'VariableDeclaration' &&
+                    (init.declarations.length !== 1 || init.declarations[0].init)) {
+                    throw createSyntaxError(`Invalid left-hand side in for-${isOf ? 'of' : 'in'} loop`,
+                        init.loc.start.line, init.loc.start.column);
+                }
+                if (init.type !== 'VariableDeclaration' && init.type !== 'Identifier' && init.type !== 'MemberExpression') {
+                    throw createSyntaxError(`Invalid left-hand side in for-${isOf ? 'of' : 'in'} loop`,
+                        init.loc.start.line, init.loc.start.column);
+                }
+                const right = isOf ? parseAssignment() : parseExpression();
+                expect(')');
+                const body = parseLoopBody();
+                return finishNode({
+                    type: isOf ? 'ForOfStatement' : 'ForInStatement',
+                    left: init,
+                    right,
+                    body,
+                    ...(isOf ? { await: false } : {})
+                }, start);
+            }
+
+            if (init.type === 'VariableDeclaration' && init.kind === 'const' &&
+                init.declarations.some(d => !d.init)) {
+                throw createSyntaxError('Missing initializer in const declaration',
+                    init.loc.start.line, init.loc.start.column);
+            }
+        }
+        expect(';');
+
+        const test = match(';') ? null : parseExpression();
+        expect(';');
+        const update = match(')') ? null : parseExpression();
+        expect(')');
+        const body = parseLoopBody();
+
+        return finishNode({ type: 'ForStatement', init, test, update, body }, start);
+    }
+
+    function parseWhile() {
+        const start = next();
+        expect('(');
+        const test = parseExpression();
+        expect(')');
+        const body = parseLoopBody();
+        return finishNode({ type: 'WhileStatement', test, body }, start);
+    }
+
+    function parseDoWhile() {
+        const start = next();
+        const body = parseLoopBody();
+        expect('while');
+        expect('(');
+        const test = parseExpression();
+        expect(')');
+        eat(';');
+        return finishNode({ type: 'DoWhileStatement', body, test }, start);
+    }
+
+    function parseContinue() {
+        const start = next();
+        if (peek().type === TokenType.IDENTIFIER && !peek().newlineBefore) {
+            unsupported(peek(), 'labeled continue');
+        }
+        if (loopDepth === 0) {
+            throw createSyntaxError('Illegal continue statement: no surrounding iteration statement',
+                start.loc.start.line, start.loc.start.column);
+        }
+        consumeSemicolon();
+        return finishNode({ type: 'ContinueStatement', label: null }, start);
+    }
+
+    function parseBreak() {
+        const start = next();
+        if (peek().type === TokenType.IDENTIFIER && !peek().newlineBefore) {
+            unsupported(peek(), 'labeled break');
+        }
+        if (breakableDepth === 0) {
+            throw createSyntaxError('Illegal break statement', start.loc.start.line, start.loc.start.column);
+        }
+        consumeSemicolon();
+        return finishNode({ type: 'BreakStatement', label: null }, start);
+    }
+
+    // ----- Expressions -----
+
+    function parseExpression() {
+        const start = peek();
+        const expression = parseAssignment();
+        if (!match(',')) return expression;
+
+        const expressions = [expression];
+        while (eat(',')) {
+            expressions.push(parseAssignment());
+        }
+        return finishNode({ type: 'SequenceExpression', expressions }, start);
+    }
+
+    function parseAssignment() {
+        if (isAsyncArrowAhead()) return parseArrow(true);
+        if (isArrowAhead()) return parseArrow();
+
+        const start = peek();
+        const left = parseConditional();
+        const token = peek();
+
+        if (token.type === TokenType.PUNCTUATOR && ASSIGNMENT_OPERATORS.has(token.value)) {
+            if (left.type !== 'Identifier' && left.type !== 'MemberExpression') {
+                if (left.type === 'ObjectExpression' || left.type === 'ArrayExpression') {
+                    unsupported(start, 'destructuring assignment');
+                }
+                throw createSyntaxError('Invalid left-hand side in assignment',
+                    start.loc.start.line, start.loc.start.column);
+            }
+            next();
+            const right = parseAssignment();
+            return finishNode({ type: 'AssignmentExpression', operator: token.value, left, right }, start);
         }
-        
-        // String
-        if (/^["'`].*["'`]$/.test(expr)) {
-            return { type: 'string', value: expr.slice(1, -1) };
+
+        return left;
+    }
+
+    function parseConditional() {
+        const start = peek();
+        const test = parseBinary(0);
+        if (!eat('?')) return test;
+
+        const consequent = parseAssignment();
+        expect(':');
+        const alternate = parseAssignment();
+        return finishNode({ type: 'ConditionalExpression', test, consequent, alternate }, start);
+    }
+
+    function binaryPrecedence(token) {
+        if (token.type !== TokenType.PUNCTUATOR && token.type !== TokenType.KEYWORD) return 0;
+        if (token.value === 'in' && !allowIn) return 0;
+        return BINARY_PRECEDENCE[token.value] || 0;
+    }
+
+    function parseBinary(minPrecedence) {
+        const start = peek();
+        let left = parseUnary();
+
+        while (binaryPrecedence(peek()) > minPrecedence) {
+            const operator = next().value;
+            const precedence = BINARY_PRECEDENCE[operator];
+            // `-2 ** 2` is ambiguous; only `(-2) ** 2` or `-(2 ** 2)` are allowed
+            if (operator === '**' && (left.type === 'UnaryExpression' || left.type === 'AwaitExpression') &&
+                left.range[0] === start.range[0]) {
+                throw createSyntaxError('Unary operator used immediately before exponentiation expression. ' +
+                    'Parenthesis must be used to disambiguate operator precedence', start.loc.start.line, start.loc.start.column);
+            }
+            // Exponentiation is right-associative
+            const right = parseBinary(operator === '**' ? precedence - 1 : precedence);
+            left = finishNode({
+                type: LOGICAL_OPERATORS.has(operator) ? 'LogicalExpression' : 'BinaryExpression',
+                operator,
+                left,
+                right
+            }, start);
         }
-        
-        // Boolean
-        if (expr === 'true' || expr === 'false') {
-            return { type: 'boolean', value: expr === 'true' };
+
+        return left;
+    }
+
+    function parseUnary() {
+        const start = peek();
+
+        if (start.type === TokenType.IDENTIFIER && start.value === 'await') {
+            if (inAsync) {
+                next();
+                const argument = parseUnary();
+                return finishNode({ type: 'AwaitExpression', argument }, start);
+            }
+            if (startsOperand(peek(1)) && !peek(1).newlineBefore) {
+                throw createSyntaxError('await is only valid in async functions and the top level bodies of modules',
+                    start.loc.start.line, start.loc.start.column);
+            }
         }
-        
-        // null/undefined
-        if (expr === 'null') {
-            return { type: 'null', value: null };
+
+        if ((start.type === TokenType.PUNCTUATOR || start.type === TokenType.KEYWORD) &&
+            UNARY_OPERATORS.has(start.value)) {
+            next();
+            const argument = parseUnary();
+            return finishNode({ type: 'UnaryExpression', operator: start.value, prefix: true, argument }, start);
         }
-        if (expr === 'undefined') {
-            return { type: 'undefined', value: undefined };
+
+        if (match('++') || match('--')) {
+            next();
+            const argument = parseUnary();
+            checkUpdateTarget(argument, start);
+            return finishNode({ type: 'UpdateExpression', operator: start.value, prefix: true, argument }, start);
         }
-        
-        // Array
-        if (expr.startsWith('[') && expr.endsWith(']')) {
-            const inner = expr.slice(1, -1).trim();
-            const elements = inner ? inner.split(',').map(e => parseValue(e.trim())) : [];
-            return { type: 'array', value: elements };
+
+        const expression = parseLeftHandSide();
+        const token = peek();
+        if ((match('++') || match('--')) && !token.newlineBefore) {
+            checkUpdateTarget(expression, start);
+            next();
+            return finishNode({ type: 'UpdateExpression', operator: token.value, prefix: false, argument: expression }, start);
         }
-        
-        // Object
-        if (expr.startsWith('{') && expr.endsWith('}')) {
-            const inner = expr.slice(1, -1).trim();
-            const props = {};
-            if (inner) {
-                const pairs = inner.split(',');
-                pairs.forEach(pair => {
-                    const [key, val] = pair.split(':').map(s => s.trim());
-                    if (key && val) {
-                        props[key.replace(/["']/g, '')] = parseValue(val);
+
+        return expression;
+    }
+
+    /**
+     * Could this token begin the operand of `await x`?
+     */
+    function startsOperand(token) {
+        if (token.type === TokenType.PUNCTUATOR) return token.value === '(' || token.value === '[';
+        return token.type !== TokenType.EOF && !(token.type === TokenType.KEYWORD && token.value === 'in') &&
+            !(token.type === TokenType.KEYWORD && token.value === 'instanceof');
+    }
+
+    function checkUpdateTarget(node, start) {
+        if (node.type !== 'Identifier' && node.type !== 'MemberExpression') {
+            throw createSyntaxError('Invalid left-hand side expression in update operation',
+                start.loc.start.line, start.loc.start.column);
+        }
+    }
+
+    /**
+     * Parse member access, calls and `new`
+     */
+    function parseLeftHandSide() {
+        const start = peek();
+        let expression = match('new') ? parseNew() : parsePrimary();
+        let optionalChain = false;
+
+        while (true) {
+            if (eat('.')) {
+                const property = parsePropertyName();
+                expression = finishNode({ type: 'MemberExpression', object: expression, property, computed: false, optional: false }, start);
+            } else if (match('?.')) {
+                next();
+                optionalChain = true;
+                if (match('(')) {
+                    const args = parseArguments();
+                    expression = finishNode({ type: 'CallExpression', callee: expression, arguments: args, optional: true }, start);
+                } else if (eat('[')) {
+                    const property = parseExpression();
+                    expect(']');
+                    expression = finishNode({ type: 'MemberExpression', object: expression, property, computed: true, optional: true }, start);
+                } else {
+                    const property = parsePropertyName();
+                    expression = finishNode({ type: 'MemberExpression', object: expression, property, computed: false, optional: true }, start);
+                }
+            } else if (eat('[')) {
+                const property = parseExpression();
+                expect(']');
+                expression = finishNode({ type: 'MemberExpression', object: expression, property, computed: true, optional: false }, start);
+            } else if (match('(')) {
+                const args = parseArguments();
+                expression = finishNode({ type: 'CallExpression', callee: expression, arguments: args, optional: false }, start);
+            } else if (peek().type === TokenType.TEMPLATE) {
+                unsupported(peek(), 'tagged template');
+            } else {
+                break;
+            }
+        }
+
+        // The chain is where a nullish `?.` link short-circuits to undefined
+        return optionalChain ? finishNode({ type: 'ChainExpression', expression }, start) : expression;
+    }
+
+    function parseNew() {
+        const start = expect('new');
+        if (match('.')) unsupported(start, 'new.target');
+
+        let callee = match('new') ? parseNew() : parsePrimary();
+        while (true) {
+            if (eat('.')) {
+                const property = parsePropertyName();
+                callee = finishNode({ type: 'MemberExpression', object: callee, property, computed: false, optional: false }, start);
+            } else if (eat('[')) {
+                const property = parseExpression();
+                expect(']');
+                callee = finishNode({ type: 'MemberExpression', object: callee, property, computed: true, optional: false }, start);
+            } else {
+                break;
+            }
+        }
+
+        const args = match('(') ? parseArguments() : [];
+        return finishNode({ type: 'NewExpression', callee, arguments: args }, start);
+    }
+
+    /**
+     * Parse an identifier after `.`, where keywords are valid names
+     */
+    function parsePropertyName() {
+        const token = peek();
+        if (token.type !== TokenType.IDENTIFIER && token.type !== TokenType.KEYWORD) {
+            unexpected('Expected property name');
+        }
+        next();
+        return finishNode({ type: 'Identifier', name: token.value }, token);
+    }
+
+    function parseArguments() {
+        expect('(');
+        const args = [];
+        while (!match(')')) {
+            const start = peek();
+            if (eat('...')) {
+                const argument = parseAssignment();
+                args.push(finishNode({ type: 'SpreadElement', argument }, start));
+            } else {
+                args.push(parseAssignment());
+            }
+            if (!match(')')) expect(',');
+        }
+        expect(')');
+        return args;
+    }
+
+    function parsePrimary() {
+        const token = peek();
+
+        switch (token.type) {
+            case TokenType.IDENTIFIER:
+                if (isAsyncFunctionAhead()) return parseFunction(false, true);
+                next();
+                return finishNode({ type: 'Identifier', name: token.value }, token);
+
+            case TokenType.NUMBER:
+            case TokenType.STRING:
+                next();
+                return finishNode({ type: 'Literal', value: token.value, raw: token.raw }, token);
+
+            case TokenType.TEMPLATE:
+                return parseTemplate();
+
+            case TokenType.KEYWORD:
+                switch (token.value) {
+                    case 'this':
+                        next();
+                        return finishNode({ type: 'ThisExpression' }, token);
+                    case 'true':
+                    case 'false':
+                        next();
+                        return finishNode({ type: 'Literal', value: token.value === 'true', raw: token.raw }, token);
+                    case 'null':
+                        next();
+                        return finishNode({ type: 'Literal', value: null, raw: token.raw }, token);
+                    case 'function':
+                        return parseFunction(false);
+                    case 'class':
+                        return parseClass(false);
+                    case 'super': {
+                        next();
+                        const valid = match('(') ? superCall : (match('.') || match('[')) && superProperty;
+                        if (!valid) {
+                            throw createSyntaxError("'super' keyword unexpected here",
+                                token.loc.start.line, token.loc.start.column);
+                        }
+                        return finishNode({ type: 'Super' }, token);
                     }
+                }
+                break;
+
+            case TokenType.PUNCTUATOR:
+                if (token.value === '(') {
+                    next();
+                    const savedAllowIn = allowIn;
+                    allowIn = true;
+                    const expression = parseExpression();
+                    allowIn = savedAllowIn;
+                    expect(')');
+                    return expression;
+                }
+                if (token.value === '[') return parseArrayLiteral();
+                if (token.value === '{') return parseObjectLiteral();
+                if (token.value === '/' || token.value === '/=') unsupported(token, 'regular expression literal');
+                break;
+        }
+
+        return unexpected();
+    }
+
+    function parseArrayLiteral() {
+        const start = expect('[');
+        const elements = [];
+        while (!match(']')) {
+            const elementStart = peek();
+            if (match(',')) {
+                next();
+                elements.push(null);
+                continue;
+            }
+            if (eat('...')) {
+                const argument = parseAssignment();
+                elements.push(finishNode({ type: 'SpreadElement', argument }, elementStart));
+            } else {
+                elements.push(parseAssignment());
+            }
+            if (!match(']')) expect(',');
+        }
+        expect(']');
+        return finishNode({ type: 'ArrayExpression', elements }, start);
+    }
+
+    function parseObjectLiteral() {
+        const start = expect('{');
+        const properties = [];
+        while (!match('}')) {
+            properties.push(parseProperty());
+            if (!match('}')) expect(',');
+        }
+        expect('}');
+        return finishNode({ type: 'ObjectExpression', properties }, start);
+    }
+
+    function parseProperty() {
+        const start = peek();
+
+        if (eat('...')) {
+            const argument = parseAssignment();
+            return finishNode({ type: 'SpreadElement', argument }, start);
+        }
+
+        let kind = 'init';
+        const isModifier = start.type === TokenType.IDENTIFIER &&
+            !match('(', 1) && !match(':', 1) && !match(',', 1) && !match('}', 1);
+        const isAsync = isModifier && start.value === 'async' && !peek(1).newlineBefore;
+        if (isAsync) {
+            next();
+        } else if (isModifier && (start.value === 'get' || start.value === 'set')) {
+            kind = next().value;
+        }
+
+        let computed = false;
+        let key;
+        const keyToken = peek();
+        if (eat('[')) {
+            computed = true;
+            key = parseExpression();
+            expect(']');
+        } else if (keyToken.type === TokenType.STRING || keyToken.type === TokenType.NUMBER) {
+            next();
+            key = finishNode({ type: 'Literal', value: keyToken.value, raw: keyToken.raw }, keyToken);
+        } else {
+            key = parsePropertyName();
+        }
+
+        if (kind !== 'init' || isAsync || match('(')) {
+            const value = parseMethod(false, false, isAsync);
+            return finishNode({ type: 'Property', key, value, kind, computed, method: kind === 'init', shorthand: false }, start);
+        }
+
+        if (eat(':')) {
+            const value = parseAssignment();
+            return finishNode({ type: 'Property', key, value, kind, computed, method: false, shorthand: false }, start);
+        }
+
+        if (keyToken.type !== TokenType.IDENTIFIER || computed) unexpected(`Expected ':'`);
+        const value = finishNode({ type: 'Identifier', name: key.name }, keyToken);
+        return finishNode({ type: 'Property', key, value, kind, computed, method: false, shorthand: true }, start);
+    }
+
+    function parseTemplate() {
+        const start = next();
+        const quasis = [];
+        const expressions = [];
+
+        start.value.forEach((part, i) => {
+            if (part.type === 'quasi') {
+                quasis.push({
+                    type: 'TemplateElement',
+                    value: { raw: part.raw, cooked: part.cooked },
+                    tail: i === start.value.length - 1
                 });
+            } else {
+                expressions.push(parseExpressionSource(part.code, part.origin));
             }
-            return { type: 'object', value: props };
-        }
-        
-        // Arrow function
-        if (expr.includes('=>')) {
-            const arrowMatch = expr.match(/^\(?([^)]*)\)?\s*=>\s*(.+)$/);
-            if (arrowMatch) {
-                return {
-                    type: 'arrowFunction',
-                    params: arrowMatch[1].split(',').map(p => p.trim()).filter(p => p),
-                    body: arrowMatch[2].trim()
-                };
-            }
-        }
-        
-        // Function expression
-        if (expr.startsWith('function')) {
-            const funcMatch = expr.match(/^function\s*\(?([^)]*)\)?\s*{\s*(.*)?\s*}$/);
-            if (funcMatch) {
-                return {
-                    type: 'function',
-                    params: funcMatch[1] ? funcMatch[1].split(',').map(p => p.trim()).filter(p => p) : [],
-                    body: funcMatch[2] || ''
-                };
-            }
-        }
-        
-        // Function call as value
-        const callMatch = expr.match(/^(\w+)\s*\(([^)]*)\)$/);
-        if (callMatch) {
-            return {
-                type: 'call',
-                name: callMatch[1],
-                args: parseArguments(callMatch[2])
-            };
-        }
-        
-        // Property access
-        if (expr.includes('.')) {
-            return { type: 'propertyAccess', value: expr };
-        }
-        
-        // Variable reference
-        return { type: 'reference', value: expr };
-    }
-
-    /**
-     * Parse function arguments
-     */
-    function parseArguments(argsStr) {
-        if (!argsStr || !argsStr.trim()) return [];
-        
-        const args = [];
+        });
+
+        return finishNode({ type: 'TemplateLiteral', quasis, expressions }, start);
+    }
+
+    /**
+     * `async x =>` or `async (...) =>` (no line break after `async`)
+     */
+    function isAsyncArrowAhead() {
+        const token = peek();
+        return token.type === TokenType.IDENTIFIER && token.value === 'async' &&
+            !peek(1).newlineBefore && isArrowAhead(1);
+    }
+
+    /**
+     * Look ahead for `x =>` or `(...) =>`
+     * @param {number} offset - Where the parameters start
+     */
+    function isArrowAhead(offset = 0) {
+        const token = peek(offset);
+        if (token.type === TokenType.IDENTIFIER) {
+            return match('=>', offset + 1) && !peek(offset + 1).newlineBefore;
+        }
+        if (!match('(', offset)) return false;
+
         let depth = 0;
-        let current = '';
-        
-        for (let char of argsStr) {
-            if (char === '(' || char === '[' || char === '{') depth++;
-            if (char === ')' || char === ']' || char === '}') depth--;
-            
-            if (char === ',' && depth === 0) {
-                args.push(parseValue(current.trim()));
-                current = '';
-            } else {
-                current += char;
+        for (let i = index + offset; i < tokens.length; i++) {
+            const t = tokens[i];
+            if (t.type !== TokenType.PUNCTUATOR) continue;
+            if (t.value === '(' || t.value === '[' || t.value === '{') depth++;
+            if (t.value === ')' || t.value === ']' || t.value === '}') depth--;
+            if (depth === 0) {
+                const after = tokens[i + 1];
+                return after && after.type === TokenType.PUNCTUATOR && after.value === '=>' && !after.newlineBefore;
             }
         }
-        
-        if (current.trim()) {
-            args.push(parseValue(current.trim()));
+        return false;
+    }
+
+    function parseArrow(isAsync = false) {
+        const start = isAsync ? next() : peek();
+        const saved = inAsync;
+        inAsync = isAsync;
+        let params;
+        let expression;
+        let body;
+        try {
+            params = peek().type === TokenType.IDENTIFIER ? [parseBindingIdentifier()] : parseParams();
+            expect('=>');
+
+            expression = !match('{');
+            body = expression ? parseAssignment() : parseFunctionBody();
+        } finally {
+            inAsync = saved;
         }
-        
-        return args;
+
+        return finishNode({
+            type: 'ArrowFunctionExpression',
+            id: null,
+            params,
+            body,
+            async: isAsync,
+            generator: false,
+            expression
+        }, start);
     }
 
+    // ----- Support check -----
+
     /**
-     * Process hoisting - move function declarations and var declarations
+     * Describe why a node cannot be executed, or return null
      */
-    function processHoisting(instructions) {
-        const hoisted = [];
-        const functionDeclarations = [];
-        const varDeclarations = [];
-        const rest = [];
+    function getUnsupportedReason(node) {
+        if (UNSUPPORTED_NODES[node.type]) return UNSUPPORTED_NODES[node.type];
 
-        instructions.forEach(inst => {
-            if (inst.type === 'functionDeclaration') {
-                functionDeclarations.push({
-                    ...inst,
-                    hoisted: true
-                });
-            } else if (inst.type === 'variableDeclaration' && inst.declarationType === 'var') {
-                // Hoist var declaration (but not initialization)
-                varDeclarations.push({
-                    type: 'hoistedVar',
-                    name: inst.name,
-                    line: inst.line,
-                    originalLine: inst.line
-                });
-                rest.push(inst);
+        switch (node.type) {
+            case 'UnaryExpression':
+                return node.operator === 'delete' ? "'delete' operator" : null;
+            case 'Property':
+                if (node.computed) return 'computed property key';
+                return node.kind === 'init' ? null : 'getter/setter';
+            case 'MethodDefinition':
+                if (node.computed) return 'computed method name';
+                return node.kind === 'get' || node.kind === 'set' ? 'getter/setter' : null;
+            case 'PropertyDefinition':
+                return node.computed ? 'computed field name' : null;
+        }
+        return null;
+    }
+
+    /**
+     * Walk the AST reporting constructs the executor cannot run
+     */
+    function checkSupport(node) {
+        const reason = getUnsupportedReason(node);
+        if (reason) {
+            report(DiagnosticKind.UNSUPPORTED, `Unsupported ${reason}`, node.loc);
+            return;
+        }
+
+        Object.keys(node).forEach(key => {
+            if (key === 'loc' || key === 'range') return;
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(c => c && typeof c.type === 'string' && checkSupport(c));
+            } else if (child && typeof child.type === 'string') {
+                checkSupport(child);
+            }
+        });
+    }
+
+    // ----- Hoisting -----
+
+    /**
+     * Statements directly nested in a compound statement (entries may be null);
+     * nested functions are not entered
+     */
+    function getNestedStatements(statement) {
+        switch (statement.type) {
+            case 'BlockStatement':
+                return statement.body;
+            case 'IfStatement':
+                return [statement.consequent, statement.alternate];
+            case 'SwitchStatement':
+                return statement.cases.flatMap(c => c.consequent);
+            case 'ForStatement':
+                return [statement.init, statement.body];
+            case 'ForInStatement':
+            case 'ForOfStatement':
+                return [statement.left, statement.body];
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                return [statement.body];
+            case 'TryStatement':
+                return [statement.block, statement.handler && statement.handler.body, statement.finalizer];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Collect `var` declarators in a list of statements, not entering nested functions
+     */
+    function collectVarDeclarators(statements, result = []) {
+        statements.forEach(statement => {
+            if (!statement) return;
+            if (statement.type === 'VariableDeclaration') {
+                if (statement.kind === 'var') result.push(...statement.declarations);
             } else {
-                rest.push(inst);
+                collectVarDeclarators(getNestedStatements(statement), result);
             }
         });
+        return result;
+    }
 
-        // Add hoisting markers
-        if (functionDeclarations.length > 0 || varDeclarations.length > 0) {
-            hoisted.push({
-                type: 'hoistingPhase',
-                functions: functionDeclarations.map(f => f.name),
-                vars: varDeclarations.map(v => v.name),
-                line: 0
+    /**
+     * Collect function declarations nested in blocks that sloppy-mode code also
+     * binds as a var of the enclosing function (Annex B.3.3). A function is left
+     * out when a let/const/class of an enclosing block has the same name.
+     * @param {Set<string>} lexicalNames - Names declared by the enclosing lexical scopes
+     */
+    function collectBlockFunctions(statements, lexicalNames, result = []) {
+        statements.forEach(statement => {
+            if (!statement) return;
+            const nested = getNestedStatements(statement).filter(Boolean);
+            const names = new Set([...lexicalNames, ...collectLexicalBindings(nested).map(binding => binding.name)]);
+            nested.forEach(child => {
+                if (child.type === 'FunctionDeclaration' && !names.has(child.id.name)) result.push(child);
             });
-        }
+            collectBlockFunctions(nested, names, result);
+        });
+        return result;
+    }
 
-        return [...hoisted, ...functionDeclarations, ...varDeclarations, ...rest];
+    /**
+     * Collect `let`/`const` bindings declared directly in a list of statements
+     */
+    function collectLexicalBindings(statements) {
+        const result = [];
+        statements.forEach(statement => {
+            if (statement.type === 'ClassDeclaration') {
+                result.push({ name: statement.id.name, kind: 'class' });
+                return;
+            }
+            if (statement.type !== 'VariableDeclaration' || statement.kind === 'var') return;
+            statement.declarations.forEach(declarator => {
+                result.push({ name: declarator.id.name, kind: statement.kind });
+            });
+        });
+        return result;
     }
 
     /**
-     * Parse function body for nested execution
+     * Process hoisting - move function declarations and var declarations
+     * @param {Array} statements - Program, function body or block statements
+     * @param {boolean} isBlock - Blocks hoist functions and let/const, but not var
+     * @param {boolean} strict - Strict mode code does not var-bind block functions
+     * @returns {Array} Instructions with hoisting markers first
      */
-    function parseBody(body) {
-        return parse(body);
+    function hoist(statements, isBlock = false, strict = false) {
+        const functionDeclarations = statements.filter(s => s.type === 'FunctionDeclaration');
+        const rest = statements.filter(s => s.type !== 'FunctionDeclaration');
+        const lexicals = collectLexicalBindings(statements);
+
+        // Hoist var declarations (but not initialization)
+        const seen = new Set();
+        const varDeclarations = [];
+        (isBlock ? [] : collectVarDeclarators(statements)).forEach(declarator => {
+            if (seen.has(declarator.id.name)) return;
+            seen.add(declarator.id.name);
+            varDeclarations.push({
+                type: 'HoistedVar',
+                name: declarator.id.name,
+                loc: declarator.loc
+            });
+        });
+
+        // Block functions start out as undefined vars, assigned when their block runs
+        const functionNames = functionDeclarations.map(f => f.id.name);
+        const blockFunctions = isBlock || strict
+            ? []
+            : collectBlockFunctions(statements, new Set(lexicals.map(l => l.name)));
+        blockFunctions.forEach(declaration => {
+            const { name } = declaration.id;
+            if (seen.has(name) || functionNames.includes(name)) return;
+            seen.add(name);
+            varDeclarations.push({ type: 'HoistedVar', name, loc: declaration.loc });
+        });
+
+        // Add hoisting marker
+        const hoisted = [];
+        if (functionDeclarations.length > 0 || varDeclarations.length > 0 || lexicals.length > 0 ||
+            blockFunctions.length > 0) {
+            hoisted.push({
+                type: 'HoistingPhase',
+                functions: functionNames,
+                vars: varDeclarations.map(v => v.name),
+                lexicals,
+                blockFunctions,
+                loc: null
+            });
+        }
+
+        return [...hoisted, ...functionDeclarations, ...varDeclarations, ...rest];
     }
 
     /**
-     * Get all function names from instructions
+     * Get all function names declared in a list of statements
      */
-    function getFunctionNames(instructions) {
-        return instructions
-            .filter(i => i.type === 'functionDeclaration')
-            .map(i => i.name);
+    function getFunctionNames(statements) {
+        return statements
+            .filter(s => s.type === 'FunctionDeclaration')
+            .map(s => s.id.name);
     }
 
     /**
-     * Find function by name
+     * Find function declaration by name
      */
-    function findFunction(instructions, name) {
-        return instructions.find(i => i.type === 'functionDeclaration' && i.name === name);
+    function findFunction(statements, name) {
+        return statements.find(s => s.type === 'FunctionDeclaration' && s.id.name === name);
     }
 
     // Public API
     return {
+        tokenize,
         parse,
-        parseBody,
-        parseValue,
-        parseArguments,
+        parseExpression: parseExpressionSource,
+        hoist,
         getFunctionNames,
         findFunction,
-        TokenType
+        TokenType,
+        DiagnosticKind,
+        Severity
     };
 })();
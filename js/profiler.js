@@ -0,0 +1,187 @@
+/**
+ * Profiler - Heap snapshots for the memory profiling view
+ * Estimates shallow and retained sizes, finds retainer paths back to a GC
+ * root and compares two snapshots
+ */
+
+const Profiler = (function() {
+    /**
+     * Estimated bytes, loosely modelled on a 64-bit engine: every object has a
+     * header, every property, element or binding takes a slot, and strings
+     * held in slots add one byte per character
+     */
+    const SIZES = {
+        header: 16,
+        slot: 8,
+        function: 32, // code, [[Environment]], name, ...
+        array: 8, // length
+        promise: 24 // [[PromiseState]], [[PromiseResult]], [[PromiseReactions]]
+    };
+
+    // Id of the virtual node every GC root hangs off
+    const ROOT = '(GC roots)';
+
+    let snapshotIdCounter = 0;
+
+    /**
+     * Take a snapshot of a heap graph from Executor.getHeapGraph()
+     * @param {Object} graph - { nodes: [{ id, type, name, builtIn, slots, edges }], roots: [{ name, to }] }
+     * @param {Object} position - { step, line } the snapshot was taken at
+     * @returns {Object} Snapshot with one entry per non-built-in node
+     */
+    function createSnapshot(graph, position = {}) {
+        const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+        const successors = new Map(graph.nodes.map(node => [node.id, node.edges.filter(edge => nodesById.has(edge.to))]));
+        successors.set(ROOT, graph.roots.filter(root => nodesById.has(root.to)).map(root => ({ name: root.name, to: root.to })));
+
+        const { order, retainers } = walkFromRoots(successors);
+        const dominators = computeDominators(order, successors);
+
+        // Retained size: the node plus everything only reachable through it
+        const shallow = new Map(graph.nodes.map(node => [node.id, shallowSize(node)]));
+        const retained = new Map(shallow);
+        [...order].reverse().forEach(id => {
+            const dominator = dominators.get(id);
+            if (id !== ROOT && dominator !== ROOT) {
+                retained.set(dominator, retained.get(dominator) + retained.get(id));
+            }
+        });
+
+        const entries = graph.nodes.filter(node => !node.builtIn).map(node => ({
+            id: node.id,
+            type: node.type,
+            name: node.name,
+            shallowSize: shallow.get(node.id),
+            retainedSize: retained.get(node.id),
+            reachable: retainers.has(node.id),
+            retainerPath: getRetainerPath(node.id, retainers, nodesById)
+        }));
+
+        return {
+            id: ++snapshotIdCounter,
+            label: `Snapshot ${snapshotIdCounter}`,
+            step: position.step,
+            line: position.line,
+            entries,
+            totalSize: entries.reduce((sum, entry) => sum + entry.shallowSize, 0)
+        };
+    }
+
+    /**
+     * Estimated size of a node on its own
+     */
+    function shallowSize(node) {
+        const base = SIZES.header + (SIZES[node.type] || 0);
+        return node.slots.reduce((size, value) => {
+            return size + SIZES.slot + (typeof value === 'string' ? value.length : 0);
+        }, base);
+    }
+
+    /**
+     * Breadth-first walk from the roots, so each node's recorded retainer
+     * lies on a shortest path back to a root
+     * @returns {{ order: string[], retainers: Map<string, {from: string, name: string}> }}
+     */
+    function walkFromRoots(successors) {
+        const order = [ROOT];
+        const retainers = new Map();
+        for (let i = 0; i < order.length; i++) {
+            successors.get(order[i]).forEach(edge => {
+                if (edge.to === ROOT || retainers.has(edge.to)) return;
+                retainers.set(edge.to, { from: order[i], name: edge.name });
+                order.push(edge.to);
+            });
+        }
+        return { order, retainers };
+    }
+
+    /**
+     * Immediate dominators (Cooper, Harvey & Kennedy): a node's dominator is
+     * the closest node every path from the roots passes through, so freeing
+     * the dominator frees the node too
+     */
+    function computeDominators(order, successors) {
+        const index = new Map(order.map((id, i) => [id, i]));
+        const predecessors = new Map(order.map(id => [id, []]));
+        order.forEach(id => successors.get(id).forEach(edge => {
+            if (index.has(edge.to)) predecessors.get(edge.to).push(id);
+        }));
+
+        const dominators = new Map([[ROOT, ROOT]]);
+        const intersect = (a, b) => {
+            while (a !== b) {
+                while (index.get(a) > index.get(b)) a = dominators.get(a);
+                while (index.get(b) > index.get(a)) b = dominators.get(b);
+            }
+            return a;
+        };
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            order.slice(1).forEach(id => {
+                const processed = predecessors.get(id).filter(pred => dominators.has(pred));
+                const dominator = processed.reduce(intersect);
+                if (dominators.get(id) !== dominator) {
+                    dominators.set(id, dominator);
+                    changed = true;
+                }
+            });
+        }
+        return dominators;
+    }
+
+    /**
+     * Steps from a GC root down to a node, e.g. Global scope → counter →
+     * increment() → [[Environment]] → createCounter scope; null when unreachable
+     * @returns {Array<{name: string, id: string, label: string}>|null}
+     */
+    function getRetainerPath(id, retainers, nodesById) {
+        if (!retainers.has(id)) return null;
+        const path = [];
+        for (let current = id; current !== ROOT; current = retainers.get(current).from) {
+            const { name } = retainers.get(current);
+            path.unshift({ name, id: current, label: nodesById.get(current).name });
+        }
+        return path;
+    }
+
+    /**
+     * Compare two snapshots of the same run by node id
+     * @returns {{ allocated: Object[], freed: Object[], retained: Object[], sizeDelta: number }}
+     */
+    function diffSnapshots(before, after) {
+        const beforeIds = new Set(before.entries.map(entry => entry.id));
+        const afterIds = new Set(after.entries.map(entry => entry.id));
+        return {
+            allocated: after.entries.filter(entry => !beforeIds.has(entry.id)),
+            freed: before.entries.filter(entry => !afterIds.has(entry.id)),
+            retained: after.entries.filter(entry => beforeIds.has(entry.id)),
+            sizeDelta: after.totalSize - before.totalSize
+        };
+    }
+
+    /**
+     * "48 B", "1.2 KB"
+     */
+    function formatBytes(bytes) {
+        const sign = bytes < 0 ? '-' : '';
+        const size = Math.abs(bytes);
+        return size < 1024 ? `${sign}${size} B` : `${sign}${(size / 1024).toFixed(1)} KB`;
+    }
+
+    /**
+     * Forget snapshot numbering (snapshots are per run)
+     */
+    function reset() {
+        snapshotIdCounter = 0;
+    }
+
+    // Public API
+    return {
+        createSnapshot,
+        diffSnapshots,
+        formatBytes,
+        reset
+    };
+})();
@@ -4,13 +4,23 @@
  */
 
 const StateManager = (function() {
+    // The simulated global object (`window`), the default `this` in sloppy mode
+    const GLOBAL_OBJECT = Object.freeze({});
+
+    // Heap references as programs hold them: frozen handles, one per heap id so
+    // `===` compares identity, and never a string a program could build
+    const HeapRefPrototype = { toString() { return this.id; } };
+    const heapRefs = new Map();
+
     // Private state
     let state = {
         code: '',
         parsedCode: [],
         callStack: [],
+        suspendedFrames: [], // async function frames parked at an await
         heap: new Map(),
         heapIdCounter: 0,
+        intrinsics: {}, // heap type -> built-in prototype ref (Object.prototype, ...)
         scopes: [],
         scopeIdCounter: 0,
         eventLoop: {
@@ -18,13 +28,24 @@ const StateManager = (function() {
             callbackQueue: [],
             microtaskQueue: []
         },
+        clock: 0, // virtual time in ms, advanced by the event loop rather than the wall clock
+        timerSequence: 0, // registration order, breaks ties between timers due at the same time
+        timerIdCounter: 0, // ids setTimeout/setInterval hand back to user code
         currentLine: -1,
+        skippedBranches: {},
+        loopIterations: {},
         currentStep: 0,
         isRunning: false,
         isPaused: false,
         speed: 1000,
+        loopIterationLimit: 100,
+        maxStackDepth: 100, // frames, counting the global one
+        intervalFiringLimit: 10, // runs per setInterval before it is cleared
+        gcMode: 'frame', // when the collector runs: 'frame' (after each pop), 'threshold' or 'manual'
+        gcThreshold: 10, // allocations between collections in 'threshold' mode
         executionQueue: [],
-        timers: []
+        timers: [],
+        heapSnapshots: []
     };
 
     // Event subscribers
@@ -34,8 +55,11 @@ const StateManager = (function() {
         scopes: [],
         eventLoop: [],
         currentLine: [],
+        branches: [],
+        loops: [],
         execution: [],
         console: [],
+        profile: [],
         all: []
     };
 
@@ -68,6 +92,25 @@ const StateManager = (function() {
         subscribers.all.forEach(cb => cb(event, data, state));
     }
 
+    /**
+     * The reference handle for a heap id
+     */
+    function refTo(id) {
+        let ref = heapRefs.get(id);
+        if (!ref) {
+            ref = Object.freeze(Object.assign(Object.create(HeapRefPrototype), { id }));
+            heapRefs.set(id, ref);
+        }
+        return ref;
+    }
+
+    /**
+     * Whether a value is a heap reference rather than a primitive or literal
+     */
+    function isHeapRef(value) {
+        return typeof value === 'object' && value !== null && heapRefs.get(value.id) === value;
+    }
+
     /**
      * Get current state (read-only copy)
      */
@@ -77,6 +120,9 @@ const StateManager = (function() {
             callStack: [...state.callStack],
             heap: new Map(state.heap),
             scopes: [...state.scopes],
+            skippedBranches: { ...state.skippedBranches },
+            loopIterations: { ...state.loopIterations },
+            heapSnapshots: [...state.heapSnapshots],
             eventLoop: {
                 webAPIs: [...state.eventLoop.webAPIs],
                 callbackQueue: [...state.eventLoop.callbackQueue],
@@ -110,7 +156,10 @@ const StateManager = (function() {
             type: frame.type || 'function',
             variables: frame.variables || {},
             thisBinding: frame.thisBinding || 'window',
+            thisRule: frame.thisRule || null, // how `this` was bound
+            strict: Boolean(frame.strict),
             line: frame.line || 0,
+            callSiteLine: frame.callSiteLine || 0, // line in the caller; 0 when the event loop called
             isActive: true
         };
         
@@ -139,6 +188,42 @@ const StateManager = (function() {
         return frame;
     }
 
+    /**
+     * Move the top frame off the stack while its async function waits at an await
+     * @param {Object} details - { resumeLine, awaiting } shown on the suspended frame
+     */
+    function suspendFrame(details) {
+        const frame = state.callStack.pop();
+        frame.isActive = false;
+        frame.suspended = details;
+        state.suspendedFrames.push(frame);
+
+        if (state.callStack.length > 0) {
+            state.callStack[state.callStack.length - 1].isActive = true;
+        }
+
+        notify('callStack', { action: 'suspend', frame, stack: [...state.callStack], suspended: [...state.suspendedFrames] });
+        return frame;
+    }
+
+    /**
+     * Put a suspended frame back on top of the stack; the event loop, not
+     * the original caller, runs the rest of the function
+     */
+    function resumeFrame(frame) {
+        state.suspendedFrames = state.suspendedFrames.filter(f => f !== frame);
+        delete frame.suspended;
+        frame.callSiteLine = 0;
+
+        if (state.callStack.length > 0) {
+            state.callStack[state.callStack.length - 1].isActive = false;
+        }
+        frame.isActive = true;
+        state.callStack.push(frame);
+
+        notify('callStack', { action: 'resume', frame, stack: [...state.callStack], suspended: [...state.suspendedFrames] });
+    }
+
     /**
      * Update variable in top frame
      */
@@ -151,7 +236,42 @@ const StateManager = (function() {
     }
 
     /**
-     * Allocate object in heap
+     * Rebind `this` on the top frame (a derived constructor after `super()`)
+     */
+    function setFrameThis(thisBinding) {
+        if (state.callStack.length > 0) {
+            const topFrame = state.callStack[state.callStack.length - 1];
+            topFrame.thisBinding = thisBinding;
+            notify('callStack', { action: 'this', frame: topFrame, stack: [...state.callStack] });
+        }
+    }
+
+    /**
+     * Record the value the top frame is returning
+     */
+    function setFrameReturnValue(value, type) {
+        if (state.callStack.length > 0) {
+            const topFrame = state.callStack[state.callStack.length - 1];
+            topFrame.returnValue = { value, type };
+            notify('callStack', { action: 'return', frame: topFrame, stack: [...state.callStack] });
+        }
+    }
+
+    /**
+     * Record the exception the top frame is unwinding with
+     */
+    function setFrameException(value, type) {
+        if (state.callStack.length > 0) {
+            const topFrame = state.callStack[state.callStack.length - 1];
+            topFrame.exception = { value, type };
+            notify('callStack', { action: 'throw', frame: topFrame, stack: [...state.callStack] });
+        }
+    }
+
+    /**
+     * Allocate object in heap; its [[Prototype]] defaults to the built-in
+     * prototype for its type
+     * @returns {Object} Reference to the new object
      */
     function allocateHeap(type, value, refId = null) {
         const id = refId || `ref_${++state.heapIdCounter}`;
@@ -159,12 +279,112 @@ const StateManager = (function() {
             id,
             type,
             value,
+            proto: state.intrinsics[type] || null, // [[Prototype]] reference
             references: [],
             createdAt: Date.now()
         };
+        if (type === 'promise') {
+            // [[PromiseState]], [[PromiseResult]] and the reactions waiting for it to settle
+            heapObj.promise = { state: 'pending', result: undefined, reactions: [] };
+        }
         state.heap.set(id, heapObj);
         notify('heap', { action: 'allocate', object: heapObj, heap: new Map(state.heap) });
-        return id;
+        syncHeapReferences(heapObj);
+        return refTo(id);
+    }
+
+    /**
+     * Register a reaction ({ onFulfilled, onRejected, derived, name }) on a pending promise
+     */
+    function addPromiseReaction(ref, reaction) {
+        const obj = state.heap.get(ref.id);
+        if (obj && obj.promise) {
+            obj.promise.reactions.push(reaction);
+            notify('heap', { action: 'mutate', object: obj, key: '[[PromiseReactions]]', heap: new Map(state.heap) });
+            syncHeapReferences(obj);
+        }
+    }
+
+    /**
+     * Fulfill or reject a promise; its reactions are handed to the microtask queue
+     * @param {string} promiseState - 'fulfilled' or 'rejected'
+     */
+    function settlePromise(ref, promiseState, result) {
+        const obj = state.heap.get(ref.id);
+        if (obj && obj.promise) {
+            obj.promise = { state: promiseState, result, reactions: [] };
+            notify('heap', { action: 'mutate', object: obj, key: '[[PromiseState]]', heap: new Map(state.heap) });
+            syncHeapReferences(obj);
+        }
+    }
+
+    /**
+     * Allocate a built-in prototype such as Array.prototype, which later
+     * allocations of `forType` (if given) link to
+     */
+    function allocateIntrinsic(name, forType, value, proto = null) {
+        const heapObj = {
+            id: `ref_${name}`,
+            type: 'object',
+            value,
+            proto,
+            intrinsic: name,
+            references: [],
+            createdAt: Date.now()
+        };
+        state.heap.set(heapObj.id, heapObj);
+        const ref = refTo(heapObj.id);
+        if (forType) state.intrinsics[forType] = ref;
+        notify('heap', { action: 'allocate', object: heapObj, heap: new Map(state.heap) });
+        return ref;
+    }
+
+    /**
+     * Set a property on a heap object (functions keep theirs in value.properties)
+     */
+    function setHeapProperty(ref, key, value) {
+        const obj = state.heap.get(ref.id);
+        if (obj) {
+            const target = obj.type === 'function' ? obj.value.properties : obj.value;
+            target[key] = value;
+            notify('heap', { action: 'mutate', object: obj, key, heap: new Map(state.heap) });
+            syncHeapReferences(obj);
+        }
+    }
+
+    /**
+     * Bring a heap object's reference edges in line with the refs its
+     * properties (or array elements) currently hold
+     */
+    function syncHeapReferences(obj) {
+        const values = Object.values(obj.type === 'function' ? obj.value.properties : obj.value);
+        if (obj.promise) {
+            values.push(obj.promise.result, ...obj.promise.reactions.flatMap(r => [r.onFulfilled, r.onRejected, r.derived]));
+        }
+        const targets = new Set(values.filter(v => isHeapRef(v) && state.heap.has(v.id)).map(v => v.id));
+
+        obj.references.filter(id => !targets.has(id)).forEach(id => removeHeapReference(obj.id, id));
+        targets.forEach(id => addHeapReference(obj.id, id));
+    }
+
+    /**
+     * Link a heap object to its [[Prototype]]
+     */
+    function setHeapPrototype(ref, proto) {
+        const obj = state.heap.get(ref.id);
+        if (obj) {
+            obj.proto = proto;
+            notify('heap', { action: 'prototype', object: obj, heap: new Map(state.heap) });
+        }
+    }
+
+    /**
+     * Record a property lookup walking the [[Prototype]] chain
+     * @param {string[]} path - Heap ids visited, starting at the receiver
+     * @param {string|null} found - Id of the object owning the property
+     */
+    function traceProperty(key, path, found) {
+        notify('heap', { action: 'lookup', key, path, found, heap: new Map(state.heap) });
     }
 
     /**
@@ -178,6 +398,17 @@ const StateManager = (function() {
         }
     }
 
+    /**
+     * Remove a reference edge once no property holds the target anymore
+     */
+    function removeHeapReference(fromId, toId) {
+        const obj = state.heap.get(fromId);
+        if (obj && obj.references.includes(toId)) {
+            obj.references = obj.references.filter(id => id !== toId);
+            notify('heap', { action: 'unreference', from: fromId, to: toId, heap: new Map(state.heap) });
+        }
+    }
+
     /**
      * Deallocate (garbage collect) heap object
      */
@@ -189,6 +420,23 @@ const StateManager = (function() {
         }
     }
 
+    /**
+     * Report a garbage collection phase: 'mark' lists the reachable heap ids in
+     * the order they were reached plus the unreachable heap ids and scope ids,
+     * 'done' follows the sweep
+     */
+    function traceCollection(phase, marked = [], garbage = [], scopes = []) {
+        notify('heap', { action: 'gc', phase, marked, garbage, scopes, heap: new Map(state.heap) });
+    }
+
+    /**
+     * Record a heap snapshot from the memory profiler
+     */
+    function addHeapSnapshot(snapshot) {
+        state.heapSnapshots.push(snapshot);
+        notify('profile', { action: 'snapshot', snapshot, snapshots: [...state.heapSnapshots] });
+    }
+
     /**
      * Create new scope
      */
@@ -221,6 +469,22 @@ const StateManager = (function() {
         }
     }
 
+    /**
+     * Declare a let/const binding that stays uninitialized (TDZ) until its declaration runs
+     */
+    function declareUninitialized(scopeId, name, declarationType) {
+        const scope = state.scopes.find(s => s.id === scopeId);
+        if (scope) {
+            scope.variables[name] = {
+                value: undefined,
+                type: 'uninitialized',
+                declarationType,
+                uninitialized: true
+            };
+            notify('scopes', { action: 'addVariable', scope, scopes: [...state.scopes] });
+        }
+    }
+
     /**
      * Update variable in scope
      */
@@ -243,6 +507,35 @@ const StateManager = (function() {
         }
     }
 
+    /**
+     * Report the scopes visited while resolving a name (found is null on a miss)
+     */
+    function traceLookup(name, path, found) {
+        notify('scopes', { action: 'lookup', name, path, found, scopes: [...state.scopes] });
+    }
+
+    /**
+     * Mark the scopes of an async function parked at an await; they keep
+     * their bindings but are not the running scope until it resumes
+     */
+    function setScopesSuspended(scopeIds, suspended) {
+        state.scopes.filter(scope => scopeIds.includes(scope.id)).forEach(scope => {
+            scope.suspended = suspended;
+        });
+        notify('scopes', { action: suspended ? 'suspend' : 'resume', scopes: [...state.scopes] });
+    }
+
+    /**
+     * Keep a finished scope alive because a closure still references it
+     */
+    function retainScope(scopeId, refId) {
+        const scope = state.scopes.find(s => s.id === scopeId);
+        if (scope) {
+            scope.retainedBy = refId;
+            notify('scopes', { action: 'retain', scope, scopes: [...state.scopes] });
+        }
+    }
+
     /**
      * Add task to Web API
      */
@@ -251,8 +544,14 @@ const StateManager = (function() {
             id: Date.now() + Math.random(),
             name: task.name,
             callback: task.callback,
+            args: task.args || [],
             delay: task.delay || 0,
-            startTime: Date.now(),
+            timerId: task.timerId || ++state.timerIdCounter,
+            interval: Boolean(task.interval),
+            firings: task.firings || 0,
+            registeredAt: state.clock,
+            dueTime: state.clock + (task.delay || 0),
+            sequence: ++state.timerSequence,
             type: task.type || 'timer'
         };
         state.eventLoop.webAPIs.push(apiTask);
@@ -277,6 +576,31 @@ const StateManager = (function() {
         }
     }
 
+    /**
+     * Cancel a timer by id, whether it is still waiting in Web APIs or already queued
+     */
+    function clearTimer(timerId) {
+        for (const queue of ['webAPIs', 'callbackQueue']) {
+            const index = state.eventLoop[queue].findIndex(t => t.timerId === timerId);
+            if (index > -1) {
+                const task = state.eventLoop[queue].splice(index, 1)[0];
+                notify('eventLoop', { action: 'clearTimer', task, queue, eventLoop: { ...state.eventLoop } });
+                return task;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Move the virtual clock forward to a timer's due time
+     */
+    function advanceClock(time) {
+        const previous = state.clock;
+        if (time <= previous) return;
+        state.clock = time;
+        notify('eventLoop', { action: 'tick', clock: time, previous, eventLoop: { ...state.eventLoop } });
+    }
+
     /**
      * Add task to Microtask Queue
      */
@@ -285,6 +609,7 @@ const StateManager = (function() {
             id: Date.now() + Math.random(),
             name: task.name,
             callback: task.callback,
+            args: task.args || [],
             type: 'microtask'
         };
         state.eventLoop.microtaskQueue.push(microTask);
@@ -336,6 +661,34 @@ const StateManager = (function() {
         notify('currentLine', line);
     }
 
+    /**
+     * Mark a branch's source lines as skipped, or clear the mark
+     * @param {string} key - Identifies the branch (stable across executions)
+     * @param {Object|null} range - {startLine, endLine} or null when the branch ran
+     */
+    function setSkippedBranch(key, range) {
+        if (range) {
+            state.skippedBranches[key] = range;
+        } else {
+            delete state.skippedBranches[key];
+        }
+        notify('branches', { skipped: { ...state.skippedBranches } });
+    }
+
+    /**
+     * Set the iteration counter of a running loop, or clear it when the loop ends
+     * @param {string} key - Identifies the loop
+     * @param {Object|null} iteration - {line, count} or null
+     */
+    function setLoopIteration(key, iteration) {
+        if (iteration) {
+            state.loopIterations[key] = iteration;
+        } else {
+            delete state.loopIterations[key];
+        }
+        notify('loops', { iterations: { ...state.loopIterations } });
+    }
+
     /**
      * Increment step counter
      */
@@ -360,6 +713,41 @@ const StateManager = (function() {
         state.speed = speed;
     }
 
+    /**
+     * Set the maximum number of iterations a single loop may run
+     */
+    function setLoopIterationLimit(limit) {
+        state.loopIterationLimit = limit;
+    }
+
+    /**
+     * Set how many frames the call stack may hold before a RangeError
+     */
+    function setMaxStackDepth(depth) {
+        state.maxStackDepth = depth;
+    }
+
+    /**
+     * Set how many times a setInterval callback may run before it is cleared
+     */
+    function setIntervalFiringLimit(limit) {
+        state.intervalFiringLimit = limit;
+    }
+
+    /**
+     * Choose when the garbage collector runs: 'frame', 'threshold' or 'manual'
+     */
+    function setGcMode(mode) {
+        state.gcMode = mode;
+    }
+
+    /**
+     * Set how many allocations trigger a collection in 'threshold' mode
+     */
+    function setGcThreshold(threshold) {
+        state.gcThreshold = threshold;
+    }
+
     /**
      * Log to console
      */
@@ -380,13 +768,16 @@ const StateManager = (function() {
     function reset() {
         // Clear all timers
         state.timers.forEach(id => clearTimeout(id));
+        heapRefs.clear();
         
         state = {
             code: state.code, // Keep the code
             parsedCode: [],
             callStack: [],
+            suspendedFrames: [],
             heap: new Map(),
             heapIdCounter: 0,
+            intrinsics: {},
             scopes: [],
             scopeIdCounter: 0,
             eventLoop: {
@@ -394,13 +785,24 @@ const StateManager = (function() {
                 callbackQueue: [],
                 microtaskQueue: []
             },
+            clock: 0,
+            timerSequence: 0,
+            timerIdCounter: 0,
             currentLine: -1,
+            skippedBranches: {},
+            loopIterations: {},
             currentStep: 0,
             isRunning: false,
             isPaused: false,
             speed: state.speed, // Keep the speed
+            loopIterationLimit: state.loopIterationLimit,
+            maxStackDepth: state.maxStackDepth,
+            intervalFiringLimit: state.intervalFiringLimit,
+            gcMode: state.gcMode,
+            gcThreshold: state.gcThreshold,
             executionQueue: [],
-            timers: []
+            timers: [],
+            heapSnapshots: []
         };
         
         notify('callStack', { action: 'reset', stack: [] });
@@ -408,34 +810,67 @@ const StateManager = (function() {
         notify('scopes', { action: 'reset', scopes: [] });
         notify('eventLoop', { action: 'reset', eventLoop: state.eventLoop });
         notify('currentLine', -1);
+        notify('branches', { skipped: {} });
+        notify('loops', { iterations: {} });
         notify('execution', { isRunning: false, isPaused: false });
+        notify('profile', { action: 'reset', snapshots: [] });
     }
 
     // Public API
     return {
+        GLOBAL_OBJECT,
+        refTo,
+        isHeapRef,
         subscribe,
         getState,
         setCode,
         setParsedCode,
         pushCallStack,
         popCallStack,
+        suspendFrame,
+        resumeFrame,
         updateFrameVariable,
+        setFrameThis,
+        setFrameReturnValue,
+        setFrameException,
         allocateHeap,
+        allocateIntrinsic,
         addHeapReference,
+        removeHeapReference,
+        setHeapProperty,
+        setHeapPrototype,
+        addPromiseReaction,
+        settlePromise,
+        traceProperty,
         deallocateHeap,
+        traceCollection,
+        addHeapSnapshot,
         createScope,
         addScopeVariable,
+        declareUninitialized,
         updateScopeVariable,
         destroyScope,
+        retainScope,
+        setScopesSuspended,
+        traceLookup,
         addToWebAPI,
         moveToCallbackQueue,
+        clearTimer,
+        advanceClock,
         addToMicrotaskQueue,
         processNextMicrotask,
         processNextCallback,
         setCurrentLine,
+        setSkippedBranch,
+        setLoopIteration,
         incrementStep,
         setExecutionState,
         setSpeed,
+        setLoopIterationLimit,
+        setMaxStackDepth,
+        setIntervalFiringLimit,
+        setGcMode,
+        setGcThreshold,
         logConsole,
         addTimer,
         reset
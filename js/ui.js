@@ -58,7 +58,7 @@ console.log(x);`,
 var name = "Global";
 
 function sayName() {
-    console.log(name);
+    console.log(this.name);
 }
 
 var person = {
@@ -66,15 +66,21 @@ var person = {
     greet: sayName
 };
 
-sayName();`,
+sayName();              // default: window
+person.greet();         // implicit: person
+sayName.call(person);   // explicit: person
+
+var bound = sayName.bind({ name: "Bob" });
+bound();                // bound: Bob`,
 
         recursion: `// Recursion Example
 function factorial(n) {
     console.log(n);
+    // Without this base case: RangeError: Maximum call stack size exceeded
     if (n <= 1) {
         return 1;
     }
-    return n;
+    return n * factorial(n - 1);
 }
 
 var result = factorial(5);
@@ -127,8 +133,182 @@ var person = {
 
 var colors = [1, 2, 3];
 
-console.log(person);
-console.log(colors);`
+// Both variables hold the same reference
+var alias = person;
+alias.age = 31;
+person["name"] = "Jane";
+
+colors[0] = 10;
+colors.push(4);
+
+console.log(person.name, person.age);
+console.log(colors);`,
+
+        classes: `// Classes: constructor functions + prototypes
+class Animal {
+    constructor(name) {
+        this.name = name;
+    }
+
+    speak() {
+        return this.name + " makes a sound";
+    }
+}
+
+class Dog extends Animal {
+    tricks = 0;
+
+    constructor(name, breed) {
+        super(name);
+        this.breed = breed;
+    }
+
+    speak() {
+        return super.speak() + " (woof)";
+    }
+}
+
+const rex = new Dog("Rex", "Labrador");
+console.log(rex.speak());
+console.log(rex instanceof Animal);`,
+
+        memory: `// Memory: what keeps objects alive?
+// Take heap snapshots while stepping, compare them,
+// and click an object to see its retainer path
+function createCache() {
+    var cache = [];
+    return function remember(item) {
+        cache.push(item);
+        return cache.length;
+    };
+}
+
+var remember = createCache();
+remember({ id: 1 });
+remember({ id: 2 });
+
+// A pending timer keeps its callback and what it closes over alive
+var report = { rows: [1, 2, 3] };
+setTimeout(function() {
+    console.log(report.rows.length);
+}, 5000);
+
+var temp = { big: [1, 2, 3, 4] };
+temp = null; // unreachable: freed by the next collection`,
+
+        errors: `// Errors: throw unwinds the stack to the nearest catch
+function parseAge(text) {
+    if (text === "") {
+        throw new TypeError("age is empty");
+    }
+    return text * 1;
+}
+
+function register(name, age) {
+    try {
+        return name + " is " + parseAge(age);
+    } finally {
+        console.log("register(" + name + ") done");
+    }
+}
+
+try {
+    register("Ada", "36");
+    register("Bob", "");
+} catch (err) {
+    console.log(err.name + ": " + err.message);
+    console.log(err instanceof Error);
+}
+
+// Nothing catches this one: the script ends here
+register("Eve", "");
+console.log("never printed");`,
+
+        promises: `// Promises: heap objects with a state and reactions
+const order = new Promise((resolve, reject) => {
+    console.log("executor runs right away");
+    resolve("pizza");
+});
+
+order
+    .then(food => {
+        console.log("got " + food);
+        return food + " slice";
+    })
+    .then(slice => {
+        throw new Error("dropped the " + slice);
+    })
+    .catch(err => {
+        console.log("caught: " + err.message);
+        return "sandwich";
+    })
+    .finally(() => console.log("table cleared"));
+
+Promise.all([order, 42, Promise.resolve("tea")])
+    .then(values => console.log(values.join(", ")));
+
+Promise.any([Promise.reject("no"), Promise.reject("nope")])
+    .catch(err => console.log(err.name + ": " + err.errors.length + " rejections"));
+
+console.log("sync code done");`,
+
+        asyncAwait: `// async/await: await parks the frame until the promise settles
+function fetchName(id) {
+    return new Promise(resolve => {
+        setTimeout(() => resolve(id === 1 ? "Ada" : "Bob"), 100);
+    });
+}
+
+async function loadUser(id) {
+    console.log("loading user " + id);
+    const name = await fetchName(id);
+    console.log("loaded " + name);
+    return { id, name };
+}
+
+async function main() {
+    const user = await loadUser(1);
+    console.log("hello, " + user.name);
+    try {
+        await Promise.reject(new Error("no profile"));
+    } catch (err) {
+        console.log("caught: " + err.message);
+    }
+    return user.id;
+}
+
+main().then(id => console.log("main resolved with " + id));
+console.log("main is suspended, sync code keeps going");`,
+
+        asyncInterleave: `// Two async calls take turns: each keeps its own frame and locals
+async function worker(name) {
+    for (let step = 1; step <= 2; step++) {
+        await null;
+        console.log(name + " step " + step);
+    }
+    await null;
+    return name + " done";
+}
+
+worker("first").then(result => console.log(result));
+worker("second").then(result => console.log(result));
+console.log("both workers suspended");`,
+
+        timers: `// Timers: ids, setInterval and clearing
+let ticks = 0;
+const intervalId = setInterval(function() {
+    ticks++;
+    console.log("tick " + ticks);
+    if (ticks === 3) {
+        clearInterval(intervalId);
+    }
+}, 100);
+
+const cancelled = setTimeout(() => console.log("never runs"), 150);
+clearTimeout(cancelled);
+
+setTimeout((name) => console.log("hello, " + name), 250, "timer");
+console.log("ids:", intervalId, cancelled);`
     };
 
     /**
@@ -145,8 +325,16 @@ console.log(colors);`
             btnPause: document.getElementById('btn-pause'),
             btnReset: document.getElementById('btn-reset'),
             btnClearConsole: document.getElementById('btn-clear-console'),
+            btnGc: document.getElementById('btn-gc'),
+            btnSnapshot: document.getElementById('btn-snapshot'),
+            btnProfile: document.getElementById('btn-profile'),
             speedSlider: document.getElementById('speed-slider'),
             speedValue: document.getElementById('speed-value'),
+            loopLimit: document.getElementById('loop-limit'),
+            stackLimit: document.getElementById('stack-limit'),
+            intervalLimit: document.getElementById('interval-limit'),
+            gcMode: document.getElementById('gc-mode'),
+            gcThreshold: document.getElementById('gc-threshold'),
             exampleSelector: document.getElementById('examples'),
             particlesCanvas: document.getElementById('particles-canvas')
         };
@@ -179,10 +367,22 @@ console.log(colors);`
         elements.btnPause.addEventListener('click', handlePause);
         elements.btnReset.addEventListener('click', handleReset);
         elements.btnClearConsole.addEventListener('click', () => Visualizer.clearConsole());
+        elements.btnGc.addEventListener('click', () => Executor.collectGarbage());
+        elements.btnSnapshot.addEventListener('click', handleSnapshot);
+        elements.btnProfile.addEventListener('click', () => Visualizer.toggleProfile());
 
         // Speed slider
         elements.speedSlider.addEventListener('input', handleSpeedChange);
 
+        // Loop iteration cap
+        elements.loopLimit.addEventListener('change', handleLoopLimitChange);
+        elements.stackLimit.addEventListener('change', handleStackLimitChange);
+        elements.intervalLimit.addEventListener('change', handleIntervalLimitChange);
+
+        // Garbage collector trigger
+        elements.gcMode.addEventListener('change', handleGcModeChange);
+        elements.gcThreshold.addEventListener('change', handleGcThresholdChange);
+
         // Example selector
         elements.exampleSelector.addEventListener('change', (e) => loadExample(e.target.value));
 
@@ -207,9 +407,10 @@ console.log(colors);`
         StateManager.setCode(code);
 
         try {
-            const parsed = Parser.parse(code);
-            StateManager.setParsedCode(parsed);
-            Executor.init(parsed);
+            const program = prepareProgram(code);
+            if (!program) return;
+            StateManager.setParsedCode(program);
+            Executor.init(program);
             await Executor.run();
         } catch (error) {
             StateManager.logConsole('error', `Error: ${error.message}`);
@@ -234,9 +435,10 @@ console.log(colors);`
             StateManager.setCode(code);
 
             try {
-                const parsed = Parser.parse(code);
-                StateManager.setParsedCode(parsed);
-                Executor.init(parsed);
+                const program = prepareProgram(code);
+                if (!program) return;
+                StateManager.setParsedCode(program);
+                Executor.init(program);
             } catch (error) {
                 StateManager.logConsole('error', `Error: ${error.message}`);
                 return;
@@ -246,6 +448,30 @@ console.log(colors);`
         await Executor.step();
     }
 
+    /**
+     * Parse code and report diagnostics
+     * @returns {Object|null} Program to execute, or null when there are syntax errors
+     */
+    function prepareProgram(code) {
+        const { program, diagnostics } = Parser.parse(code);
+        Visualizer.showDiagnostics(diagnostics);
+
+        diagnostics.forEach(d => {
+            if (d.severity === Parser.Severity.ERROR) {
+                StateManager.logConsole('error', `SyntaxError: ${d.message} (line ${d.line}:${d.column + 1})`);
+            } else {
+                StateManager.logConsole('warn', `${d.message} (line ${d.line}) - not simulated`);
+            }
+        });
+
+        if (diagnostics.some(d => d.severity === Parser.Severity.ERROR)) {
+            StateManager.logConsole('error', 'Execution aborted: fix the syntax errors first');
+            return null;
+        }
+
+        return program;
+    }
+
     /**
      * Handle Pause button click
      */
@@ -264,10 +490,20 @@ console.log(colors);`
      */
     function handleReset() {
         Executor.reset();
+        Profiler.reset();
         Visualizer.reset();
         Visualizer.updateLineNumbers(elements.codeEditor.value);
     }
 
+    /**
+     * Handle snapshot button: record the heap as it is at the current step
+     */
+    function handleSnapshot() {
+        const { currentStep, currentLine } = StateManager.getState();
+        const snapshot = Profiler.createSnapshot(Executor.getHeapGraph(), { step: currentStep, line: currentLine });
+        StateManager.addHeapSnapshot(snapshot);
+    }
+
     /**
      * Handle speed slider change
      */
@@ -277,11 +513,60 @@ console.log(colors);`
         elements.speedValue.textContent = `${(speed / 1000).toFixed(1)}s`;
     }
 
+    /**
+     * Handle loop iteration cap change
+     */
+    function handleLoopLimitChange(e) {
+        StateManager.setLoopIterationLimit(readClampedInput(e.target));
+    }
+
+    /**
+     * Handle maximum call stack depth change (the global frame counts, so at least 2)
+     */
+    function handleStackLimitChange(e) {
+        StateManager.setMaxStackDepth(readClampedInput(e.target));
+    }
+
+    /**
+     * Handle setInterval firing cap change
+     */
+    function handleIntervalLimitChange(e) {
+        StateManager.setIntervalFiringLimit(readClampedInput(e.target));
+    }
+
+    /**
+     * Handle garbage collector mode change
+     */
+    function handleGcModeChange(e) {
+        StateManager.setGcMode(e.target.value);
+        elements.gcThreshold.disabled = e.target.value !== 'threshold';
+    }
+
+    /**
+     * Handle garbage collector allocation threshold change
+     */
+    function handleGcThresholdChange(e) {
+        StateManager.setGcThreshold(readClampedInput(e.target));
+    }
+
+    /**
+     * Read a number input, clamped to its min and max attributes; the
+     * corrected value is written back so the field shows what is used
+     */
+    function readClampedInput(input) {
+        const min = Number(input.min);
+        const value = Math.min(Number(input.max), Math.max(min, parseInt(input.value) || min));
+        input.value = value;
+        return value;
+    }
+
     /**
      * Handle code editor changes
      */
     function handleCodeChange() {
-        Visualizer.updateLineNumbers(elements.codeEditor.value);
+        const code = elements.codeEditor.value;
+        Visualizer.updateLineNumbers(code);
+        Visualizer.showDiagnostics(Parser.parse(code).diagnostics);
     }
 
     /**
@@ -311,7 +596,9 @@ console.log(colors);`
      */
     function syncScroll() {
         const lineNumbers = document.getElementById('line-numbers');
+        const diagnosticsGutter = document.getElementById('diagnostics-gutter');
         lineNumbers.scrollTop = elements.codeEditor.scrollTop;
+        diagnosticsGutter.scrollTop = elements.codeEditor.scrollTop;
     }
 
     /**
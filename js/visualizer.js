@@ -8,6 +8,23 @@ const Visualizer = (function() {
     let elements = {};
     let heapArrowsSvg = null;
     let heapObjectElements = new Map();
+    let intrinsicLabels = new Map(); // heap id -> 'Object.prototype', ...
+    let heapEdges = new Map(); // heap id -> Set of heap ids its properties reference
+    let freshArrows = new Set(); // arrow ids to animate on the next redraw
+    let arrowRedrawPending = false;
+
+    // Properties listed per heap object before the rest are summarized
+    const MAX_HEAP_PROPS = 6;
+
+    // Frames kept in view at each end of a deep call stack; the middle ones
+    // collapse into "… N more frames" until clicked
+    const VISIBLE_FRAMES = { bottom: 2, top: 6 };
+    let showAllFrames = false;
+    let diagnostics = [];
+
+    // Memory profile view: snapshots taken this run and what is on display
+    let snapshots = [];
+    let profile = { targetId: null, baseId: null, selectedId: null };
 
     /**
      * Initialize visualizer and subscribe to state changes
@@ -17,17 +34,22 @@ const Visualizer = (function() {
         elements = {
             callStack: document.getElementById('call-stack'),
             stackCount: document.getElementById('stack-count'),
+            suspendedFrames: document.getElementById('suspended-frames'),
             memoryHeap: document.getElementById('heap-objects'),
             heapArrows: document.getElementById('heap-arrows'),
+            referenceArrows: document.getElementById('reference-arrows'),
             heapCount: document.getElementById('heap-count'),
+            heapProfile: document.getElementById('heap-profile'),
             scopeChain: document.getElementById('scope-chain'),
             scopeCount: document.getElementById('scope-count'),
             webAPIs: document.getElementById('web-apis'),
             callbackQueue: document.getElementById('callback-queue'),
             microtaskQueue: document.getElementById('microtask-queue'),
+            virtualClock: document.getElementById('virtual-clock'),
             consoleOutput: document.getElementById('console-output'),
             lineHighlight: document.getElementById('line-highlight'),
-            lineNumbers: document.getElementById('line-numbers')
+            lineNumbers: document.getElementById('line-numbers'),
+            diagnosticsGutter: document.getElementById('diagnostics-gutter')
         };
 
         heapArrowsSvg = elements.heapArrows;
@@ -38,10 +60,19 @@ const Visualizer = (function() {
         StateManager.subscribe('scopes', handleScopesChange);
         StateManager.subscribe('eventLoop', handleEventLoopChange);
         StateManager.subscribe('currentLine', handleLineChange);
+        StateManager.subscribe('branches', handleBranchesChange);
+        StateManager.subscribe('loops', handleLoopsChange);
         StateManager.subscribe('console', handleConsoleLog);
+        StateManager.subscribe('profile', handleProfileChange);
+
+        // Arrows follow their endpoints when the panels scroll or resize
+        elements.memoryHeap.parentElement.addEventListener('scroll', () => scheduleArrowRedraw());
+        elements.scopeChain.addEventListener('scroll', () => scheduleArrowRedraw());
+        window.addEventListener('resize', () => scheduleArrowRedraw());
 
         // Initial render
         renderEmpty();
+        renderProfile();
     }
 
     /**
@@ -49,11 +80,13 @@ const Visualizer = (function() {
      */
     function renderEmpty() {
         elements.callStack.innerHTML = '<div class="empty-state">Stack is empty</div>';
+        renderSuspendedFrames([]);
         elements.memoryHeap.innerHTML = '<div class="empty-state">No objects allocated</div>';
         elements.scopeChain.innerHTML = '<div class="empty-state">No active scopes</div>';
         elements.webAPIs.innerHTML = '';
         elements.callbackQueue.innerHTML = '';
         elements.microtaskQueue.innerHTML = '';
+        elements.virtualClock.textContent = '0ms';
         elements.stackCount.textContent = '0';
         elements.heapCount.textContent = '0';
         elements.scopeCount.textContent = '0';
@@ -67,30 +100,43 @@ const Visualizer = (function() {
 
         elements.stackCount.textContent = stack.length;
 
+        if (action === 'suspend' || action === 'resume') {
+            renderSuspendedFrames(data.suspended);
+        }
+
         if (action === 'reset' || stack.length === 0) {
             elements.callStack.innerHTML = '<div class="empty-state">Stack is empty</div>';
+            if (action === 'reset') {
+                showAllFrames = false;
+                renderSuspendedFrames([]);
+            }
             return;
         }
 
-        if (action === 'push') {
+        if (action === 'push' || action === 'resume') {
             // Remove empty state if present
             const emptyState = elements.callStack.querySelector('.empty-state');
             if (emptyState) emptyState.remove();
 
+            // A frame resuming before its suspend animation finished
+            const staleEl = elements.callStack.querySelector(`[data-frame-id="${frame.id}"]`);
+            if (staleEl) staleEl.remove();
+
             // Create new frame element
             const frameEl = createStackFrameElement(frame);
             elements.callStack.appendChild(frameEl);
+            updateCollapsedFrames();
 
             // Update active states
             updateActiveFrame(stack);
-        } else if (action === 'pop') {
+        } else if (action === 'pop' || action === 'suspend') {
             // Find and animate out the frame
-            const frames = elements.callStack.querySelectorAll('.stack-frame');
-            if (frames.length > 0) {
-                const topFrame = frames[frames.length - 1];
+            const topFrame = elements.callStack.querySelector(`[data-frame-id="${frame.id}"]`);
+            if (topFrame) {
                 topFrame.classList.add('popping');
                 setTimeout(() => {
                     topFrame.remove();
+                    updateCollapsedFrames();
                     if (elements.callStack.children.length === 0) {
                         elements.callStack.innerHTML = '<div class="empty-state">Stack is empty</div>';
                     }
@@ -100,6 +146,16 @@ const Visualizer = (function() {
         } else if (action === 'update') {
             // Update variables in the frame
             updateFrameVariables(frame);
+        } else if (action === 'return') {
+            showFrameReturnValue(frame);
+        } else if (action === 'throw') {
+            showFrameException(frame);
+        } else if (action === 'this') {
+            const thisEl = elements.callStack.querySelector(`[data-frame-id="${frame.id}"] .this-indicator`);
+            if (thisEl) {
+                renderThisIndicator(thisEl, frame);
+                Animations.pulse(thisEl);
+            }
         }
     }
 
@@ -122,7 +178,7 @@ const Visualizer = (function() {
         Object.entries(frame.variables).forEach(([name, info]) => {
             const varEl = document.createElement('span');
             varEl.className = 'frame-var';
-            varEl.innerHTML = `<span class="var-name">${name}</span>: <span class="var-value">${info.value}</span>`;
+            varEl.innerHTML = `<span class="var-name">${name}</span>: <span class="var-value">${escapeHtml(info.value)}</span>`;
             varsEl.appendChild(varEl);
         });
 
@@ -130,7 +186,7 @@ const Visualizer = (function() {
         if (frame.thisBinding) {
             const thisEl = document.createElement('div');
             thisEl.className = 'this-indicator';
-            thisEl.innerHTML = ` = ${frame.thisBinding}`;
+            renderThisIndicator(thisEl, frame);
             el.appendChild(nameEl);
             el.appendChild(varsEl);
             el.appendChild(thisEl);
@@ -142,6 +198,73 @@ const Visualizer = (function() {
         return el;
     }
 
+    /**
+     * Frames of async functions parked at an await, with their saved locals,
+     * what they wait for and the line they resume at
+     */
+    function renderSuspendedFrames(suspended) {
+        const container = elements.suspendedFrames;
+        container.innerHTML = '';
+        container.hidden = suspended.length === 0;
+        if (suspended.length === 0) return;
+
+        const titleEl = document.createElement('div');
+        titleEl.className = 'suspended-title';
+        titleEl.textContent = 'Suspended (await)';
+        container.appendChild(titleEl);
+
+        suspended.forEach(frame => {
+            const el = createStackFrameElement(frame);
+            el.classList.add('suspended');
+            el.classList.remove('active');
+
+            const awaitEl = document.createElement('div');
+            awaitEl.className = 'frame-await';
+            awaitEl.innerHTML = `await <span class="var-value">${escapeHtml(frame.suspended.awaiting)}</span>` +
+                `<span class="frame-resume">resumes at line ${frame.suspended.resumeLine}</span>`;
+            el.appendChild(awaitEl);
+            container.appendChild(el);
+        });
+    }
+
+    /**
+     * Fill a frame's `this` indicator with the binding and the rule that produced it
+     */
+    function renderThisIndicator(thisEl, frame) {
+        thisEl.innerHTML = ` = ${escapeHtml(frame.thisBinding)}`;
+        if (frame.thisRule) {
+            thisEl.innerHTML += `<span class="this-rule">${frame.thisRule}</span>`;
+        }
+    }
+
+    /**
+     * Hide the middle of a deep stack behind a "… N more frames" marker
+     */
+    function updateCollapsedFrames() {
+        const frames = [...elements.callStack.querySelectorAll('.stack-frame:not(.popping)')];
+        const hidden = showAllFrames ? 0 : Math.max(0, frames.length - VISIBLE_FRAMES.bottom - VISIBLE_FRAMES.top);
+        frames.forEach((frameEl, i) => {
+            frameEl.classList.toggle('collapsed', i >= VISIBLE_FRAMES.bottom && i < VISIBLE_FRAMES.bottom + hidden);
+        });
+
+        let marker = elements.callStack.querySelector('.frames-collapsed');
+        if (hidden === 0) {
+            if (marker) marker.remove();
+            return;
+        }
+        if (!marker) {
+            marker = document.createElement('div');
+            marker.className = 'frames-collapsed';
+            marker.title = 'Show all frames';
+            marker.addEventListener('click', () => {
+                showAllFrames = true;
+                updateCollapsedFrames();
+            });
+        }
+        marker.textContent = `… ${hidden} more frame${hidden === 1 ? '' : 's'}`;
+        frames[VISIBLE_FRAMES.bottom - 1].after(marker);
+    }
+
     /**
      * Update active frame highlighting
      */
@@ -169,37 +292,100 @@ const Visualizer = (function() {
             Object.entries(frame.variables).forEach(([name, info]) => {
                 const varEl = document.createElement('span');
                 varEl.className = 'frame-var';
-                varEl.innerHTML = `<span class="var-name">${name}</span>: <span class="var-value">${info.value}</span>`;
+                varEl.innerHTML = `<span class="var-name">${name}</span>: <span class="var-value">${escapeHtml(info.value)}</span>`;
                 varsEl.appendChild(varEl);
             });
         }
     }
 
+    /**
+     * Show the value a frame is returning
+     */
+    function showFrameReturnValue(frame) {
+        const frameEl = elements.callStack.querySelector(`[data-frame-id="${frame.id}"]`);
+        if (!frameEl) return;
+
+        let returnEl = frameEl.querySelector('.frame-return');
+        if (!returnEl) {
+            returnEl = document.createElement('div');
+            returnEl.className = 'frame-return';
+            frameEl.appendChild(returnEl);
+        }
+        returnEl.innerHTML = `return <span class="var-value">${escapeHtml(frame.returnValue.value)}</span>`;
+        Animations.pulse(frameEl, 'rgba(16, 185, 129, 0.5)');
+    }
+
+    /**
+     * Mark a frame an exception is unwinding, before it pops
+     */
+    function showFrameException(frame) {
+        const frameEl = elements.callStack.querySelector(`[data-frame-id="${frame.id}"]`);
+        if (!frameEl) return;
+
+        const throwEl = document.createElement('div');
+        throwEl.className = 'frame-throw';
+        throwEl.innerHTML = `throw <span class="var-value">${escapeHtml(frame.exception.value)}</span>`;
+        frameEl.appendChild(throwEl);
+        frameEl.classList.add('unwinding');
+        Animations.pulse(frameEl, 'rgba(239, 68, 68, 0.5)');
+    }
+
     /**
      * Handle heap changes
      */
     function handleHeapChange(data, state) {
         const { action, object, heap } = data;
 
-        elements.heapCount.textContent = heap.size;
+        if (action === 'lookup') {
+            showPropertyLookup(data.key, data.path, data.found);
+            return;
+        }
+
+        if (action === 'gc') {
+            showCollection(data, state.speed);
+            return;
+        }
+
+        // Native methods live inside their built-in prototype's entry
+        elements.heapCount.textContent = [...heap.values()].filter(obj => !isNativeFunction(obj)).length;
 
         if (action === 'reset' || heap.size === 0) {
             elements.memoryHeap.innerHTML = '<div class="empty-state">No objects allocated</div>';
             heapObjectElements.clear();
+            intrinsicLabels.clear();
+            heapEdges.clear();
             clearArrows();
             return;
         }
 
+        if (isNativeFunction(object)) return;
+
         if (action === 'allocate') {
+            if (object.intrinsic) intrinsicLabels.set(object.id, object.intrinsic);
+
             // Remove empty state if present
             const emptyState = elements.memoryHeap.querySelector('.empty-state');
             if (emptyState) emptyState.remove();
 
             // Create heap object element
-            const objEl = createHeapObjectElement(object);
+            const objEl = createHeapObjectElement(object, heap);
             elements.memoryHeap.appendChild(objEl);
             heapObjectElements.set(object.id, objEl);
+            scheduleArrowRedraw();
+        } else if (action === 'mutate' || action === 'prototype') {
+            // Re-render the object in place with its new properties or [[Prototype]]
+            const oldEl = heapObjectElements.get(object.id);
+            if (oldEl) {
+                const objEl = createHeapObjectElement(object, heap);
+                objEl.style.animation = 'none';
+                objEl.classList.toggle('expanded', oldEl.classList.contains('expanded'));
+                oldEl.replaceWith(objEl);
+                heapObjectElements.set(object.id, objEl);
+                scheduleArrowRedraw(action === 'prototype' ? `proto-arrow-${object.id}` : null);
+                if (action === 'mutate') showMutation(object.id, objEl, data.key);
+            }
         } else if (action === 'deallocate') {
+            heapEdges.delete(object.id);
             const objEl = heapObjectElements.get(object.id);
             if (objEl) {
                 objEl.classList.add('removing');
@@ -209,22 +395,25 @@ const Visualizer = (function() {
                     if (elements.memoryHeap.children.length === 0) {
                         elements.memoryHeap.innerHTML = '<div class="empty-state">No objects allocated</div>';
                     }
+                    scheduleArrowRedraw();
                 }, 400);
             }
         } else if (action === 'reference') {
-            // Draw arrow between objects
-            const fromEl = heapObjectElements.get(data.from);
-            const toEl = heapObjectElements.get(data.to);
-            if (fromEl && toEl) {
-                Animations.drawArrow(heapArrowsSvg, fromEl, toEl, `arrow-${data.from}-${data.to}`);
-            }
+            if (!heapEdges.has(data.from)) heapEdges.set(data.from, new Set());
+            heapEdges.get(data.from).add(data.to);
+            scheduleArrowRedraw(`arrow-${data.from}-${data.to}`);
+        } else if (action === 'unreference') {
+            if (heapEdges.has(data.from)) heapEdges.get(data.from).delete(data.to);
+            scheduleArrowRedraw();
         }
     }
 
     /**
      * Create heap object DOM element
      */
-    function createHeapObjectElement(obj) {
+    function createHeapObjectElement(obj, heap) {
+        if (obj.intrinsic) return createIntrinsicElement(obj, heap);
+
         const el = document.createElement('div');
         el.className = 'heap-object';
         el.dataset.heapId = obj.id;
@@ -243,26 +432,306 @@ const Visualizer = (function() {
 
         el.appendChild(typeEl);
         el.appendChild(contentEl);
+
+        if (obj.type === 'object' || obj.type === 'array') {
+            el.appendChild(createHeapPropsElement(obj.value || {}));
+        }
+
+        if (obj.promise) {
+            el.classList.add(`promise-${obj.promise.state}`);
+            el.appendChild(createPromiseSlotsElement(obj.promise));
+        }
+
+        // Functions link back to the scope they were created in
+        if (obj.type === 'function' && obj.value.closure) {
+            el.dataset.closure = obj.value.closure;
+            const envEl = document.createElement('div');
+            envEl.className = 'heap-env';
+            envEl.textContent = `[[Environment]]: ${obj.value.closure}`;
+            el.appendChild(envEl);
+        }
+
+        if (obj.proto) {
+            const protoEl = document.createElement('div');
+            protoEl.className = 'heap-env';
+            protoEl.textContent = `[[Prototype]]: ${intrinsicLabels.get(obj.proto.id) || obj.proto.id}`;
+            el.appendChild(protoEl);
+            el.dataset.proto = obj.proto.id;
+        }
+
         el.appendChild(refEl);
 
         return el;
     }
 
+    /**
+     * List the first properties of an object or array as `key: value` rows
+     */
+    function createHeapPropsElement(value) {
+        const propsEl = document.createElement('div');
+        propsEl.className = 'heap-props';
+
+        const keys = Object.keys(value);
+        keys.slice(0, MAX_HEAP_PROPS).forEach(key => {
+            const propEl = document.createElement('div');
+            propEl.className = 'heap-prop';
+            propEl.dataset.key = key;
+            propEl.textContent = `${key}: ${formatScopeValue(value[key])}`;
+            propsEl.appendChild(propEl);
+        });
+        if (keys.length > MAX_HEAP_PROPS) {
+            const moreEl = document.createElement('div');
+            moreEl.className = 'heap-prop more';
+            moreEl.textContent = `… ${keys.length - MAX_HEAP_PROPS} more`;
+            propsEl.appendChild(moreEl);
+        }
+        return propsEl;
+    }
+
+    /**
+     * [[PromiseState]], [[PromiseResult]] and the reactions still waiting on
+     * a promise, one per registered then/catch/finally
+     */
+    function createPromiseSlotsElement({ state, result, reactions }) {
+        const slotsEl = document.createElement('div');
+        slotsEl.className = 'heap-props';
+
+        const rows = [
+            ['[[PromiseState]]', state],
+            ['[[PromiseResult]]', formatScopeValue(result)],
+            ...reactions.map(reaction => [
+                '[[PromiseReactions]]',
+                `${reaction.name} → ${reaction.derived ? reaction.derived.id : 'resolve/reject'}`
+            ])
+        ];
+        rows.forEach(([key, text]) => {
+            const rowEl = document.createElement('div');
+            rowEl.className = 'heap-prop';
+            rowEl.dataset.key = key;
+            rowEl.textContent = key === '[[PromiseReactions]]' ? text : `${key}: ${text}`;
+            slotsEl.appendChild(rowEl);
+        });
+        return slotsEl;
+    }
+
+    /**
+     * Flash the property a write changed, and every variable holding the same
+     * reference, since they all see the mutation
+     */
+    function showMutation(id, objEl, key) {
+        const propEl = [...objEl.querySelectorAll('.heap-prop')].find(el => el.dataset.key === String(key));
+        if (propEl) {
+            propEl.classList.add('changed');
+        } else {
+            Animations.pulse(objEl, 'rgba(249, 115, 22, 0.5)');
+        }
+        elements.scopeChain.querySelectorAll(`.scope-var[data-ref="${id}"]`).forEach(varEl => {
+            Animations.pulse(varEl, 'rgba(249, 115, 22, 0.5)');
+        });
+    }
+
+    /**
+     * Create a built-in prototype entry, collapsed to its name until clicked;
+     * methods are listed as `name()`, data properties as `name: value`
+     */
+    function createIntrinsicElement(obj, heap) {
+        const el = document.createElement('div');
+        el.className = 'heap-object intrinsic';
+        el.dataset.heapId = obj.id;
+        if (obj.proto) el.dataset.proto = obj.proto.id;
+
+        const typeEl = document.createElement('div');
+        typeEl.className = 'heap-type';
+        typeEl.textContent = 'built-in';
+
+        const contentEl = document.createElement('div');
+        contentEl.className = 'heap-content';
+        contentEl.textContent = obj.intrinsic;
+
+        const membersEl = document.createElement('div');
+        membersEl.className = 'heap-members';
+        membersEl.textContent = Object.entries(obj.value).map(([key, value]) => {
+            const target = isRef(value) && heap.get(value.id);
+            return target && target.type === 'function' ? `${key}()` : `${key}: ${formatScopeValue(value)}`;
+        }).join(', ') || '(no properties)';
+        if (obj.proto) membersEl.textContent += ` · [[Prototype]]: ${intrinsicLabels.get(obj.proto.id) || obj.proto.id}`;
+
+        el.appendChild(typeEl);
+        el.appendChild(contentEl);
+        el.appendChild(membersEl);
+        el.addEventListener('click', () => {
+            el.classList.toggle('expanded');
+            scheduleArrowRedraw();
+        });
+
+        return el;
+    }
+
+    /**
+     * Native methods are heap functions without a body, shown inside their prototype
+     */
+    function isNativeFunction(obj) {
+        return Boolean(obj && obj.type === 'function' && obj.value.native);
+    }
+
+    /**
+     * Redraw every arrow on the next frame, once per batch of changes;
+     * arrows are recomputed because any allocation can reflow the panels
+     * @param {string|null} freshId - Arrow that just appeared and should animate in
+     */
+    function scheduleArrowRedraw(freshId = null) {
+        if (freshId) freshArrows.add(freshId);
+        if (arrowRedrawPending) return;
+        arrowRedrawPending = true;
+        requestAnimationFrame(() => {
+            arrowRedrawPending = false;
+            drawHeapArrows();
+            drawScopeArrows();
+            freshArrows.clear();
+        });
+    }
+
+    /**
+     * Arrows inside the heap: solid for a property holding a reference,
+     * dashed for a [[Prototype]] link
+     */
+    function drawHeapArrows() {
+        clearArrows();
+        heapEdges.forEach((targets, fromId) => {
+            targets.forEach(toId => {
+                const fromEl = heapObjectElements.get(fromId);
+                const toEl = heapObjectElements.get(toId);
+                if (!isArrowEndVisible(fromEl) || !isArrowEndVisible(toEl)) return;
+                const id = `arrow-${fromId}-${toId}`;
+                Animations.drawArrow(heapArrowsSvg, fromEl, toEl, id, { animate: freshArrows.has(id) });
+            });
+        });
+
+        heapObjectElements.forEach((el, id) => {
+            const protoEl = heapObjectElements.get(el.dataset.proto);
+            if (!isArrowEndVisible(el) || !isArrowEndVisible(protoEl)) return;
+            const arrowId = `proto-arrow-${id}`;
+            const arrow = Animations.drawArrow(heapArrowsSvg, el, protoEl, arrowId, {
+                className: 'heap-arrow proto-arrow',
+                marker: 'proto-arrowhead',
+                color: '#22d3ee',
+                animate: false
+            });
+            if (freshArrows.has(arrowId)) arrow.classList.add('fresh');
+        });
+    }
+
+    /**
+     * Arrows crossing panels: a scope variable holding a reference points into
+     * the heap (primitives are stored in the scope itself), and a function
+     * points back at the scope it closes over
+     */
+    function drawScopeArrows() {
+        const svg = elements.referenceArrows;
+        svg.querySelectorAll('.scope-arrow, .env-arrow').forEach(arrow => arrow.remove());
+
+        elements.scopeChain.querySelectorAll('.scope-var[data-ref]').forEach(varEl => {
+            const heapEl = heapObjectElements.get(varEl.dataset.ref);
+            if (!isArrowEndVisible(varEl) || !isArrowEndVisible(heapEl)) return;
+            const scopeId = varEl.closest('.scope-card').dataset.scopeId;
+            Animations.drawArrow(svg, varEl, heapEl, `scope-arrow-${scopeId}-${varEl.dataset.varName}`, {
+                className: 'scope-arrow',
+                marker: 'scope-arrowhead',
+                color: '#4f9eff',
+                animate: false
+            });
+        });
+
+        heapObjectElements.forEach((el, id) => {
+            const card = el.dataset.closure &&
+                elements.scopeChain.querySelector(`[data-scope-id="${el.dataset.closure}"]`);
+            if (!isArrowEndVisible(el) || !isArrowEndVisible(card)) return;
+            Animations.drawArrow(svg, el, card, `env-arrow-${id}`, {
+                className: 'env-arrow',
+                marker: 'env-arrowhead',
+                color: '#10b981',
+                animate: false
+            });
+        });
+    }
+
+    /**
+     * Whether an arrow endpoint is on the page and not scrolled out of its panel
+     */
+    function isArrowEndVisible(el) {
+        if (!el || !el.isConnected) return false;
+        const panel = el.closest('.panel-content');
+        if (!panel) return true;
+        if (panel.hidden) return false;
+        const rect = el.getBoundingClientRect();
+        const panelRect = panel.getBoundingClientRect();
+        return rect.bottom >= panelRect.top && rect.top <= panelRect.bottom;
+    }
+
+    /**
+     * Animate a property lookup: each object on the [[Prototype]] chain lights
+     * up in turn, then the owner pulses or the last object shakes on a miss
+     */
+    function showPropertyLookup(key, path, found) {
+        const objects = path.map(id => heapObjectElements.get(id)).filter(el => el && el.isConnected);
+        if (objects.length === 0) return;
+
+        Animations.highlightPath(objects, 120).then(() => {
+            const ownerEl = found ? heapObjectElements.get(found) : null;
+            const lastEl = heapObjectElements.get(path[path.length - 1]);
+            if (ownerEl && ownerEl.isConnected) {
+                Animations.pulse(ownerEl, 'rgba(16, 185, 129, 0.6)');
+            } else if (!found && lastEl && lastEl.isConnected) {
+                Animations.shake(lastEl);
+            }
+        });
+    }
+
+    /**
+     * Animate a collection: during 'mark' the reachable objects light up in the
+     * order the collector reached them, then the unreachable objects and scopes
+     * turn red until the sweep fades them out; 'done' clears the marks
+     */
+    function showCollection({ phase, marked, garbage, scopes }, speed) {
+        if (phase === 'done') {
+            heapObjectElements.forEach(el => el.classList.remove('gc-marked', 'gc-unreachable'));
+            return;
+        }
+
+        const reached = marked.map(id => heapObjectElements.get(id)).filter(el => el && el.isConnected);
+        const interval = Math.min(120, speed / 2 / Math.max(reached.length, 1));
+        reached.forEach((el, index) => {
+            setTimeout(() => el.classList.add('gc-marked'), index * interval);
+        });
+
+        setTimeout(() => {
+            garbage.forEach(id => {
+                const el = heapObjectElements.get(id);
+                if (el) el.classList.add('gc-unreachable');
+            });
+            scopes.forEach(id => {
+                const card = elements.scopeChain.querySelector(`[data-scope-id="${id}"]`);
+                if (card) card.classList.add('gc-unreachable');
+            });
+        }, reached.length * interval);
+    }
+
     /**
      * Format heap object content for display
      */
     function formatHeapContent(obj) {
         if (obj.type === 'function') {
-            return `${obj.value.name || 'anonymous'}(${obj.value.params.join(', ')})`;
+            const prefix = obj.value.classKind ? 'class ' : obj.value.async ? 'async ' : '';
+            return `${prefix}${obj.value.name || 'anonymous'}(${obj.value.params.join(', ')})`;
         }
         if (obj.type === 'array') {
             const items = Array.isArray(obj.value) ? obj.value : [];
-            return `[${items.length} items]`;
+            return `Array(${items.length})`;
         }
         if (obj.type === 'object') {
-            const keys = Object.keys(obj.value || {});
-            return `{${keys.slice(0, 3).join(', ')}${keys.length > 3 ? '...' : ''}}`;
+            return Object.keys(obj.value || {}).length === 0 ? '{}' : 'Object';
         }
+        if (obj.type === 'promise') return `Promise <${obj.promise.state}>`;
         return String(obj.value);
     }
 
@@ -272,6 +741,7 @@ const Visualizer = (function() {
     function clearArrows() {
         const arrows = heapArrowsSvg.querySelectorAll('.heap-arrow');
         arrows.forEach(arrow => arrow.remove());
+        elements.referenceArrows.querySelectorAll('path').forEach(arrow => arrow.remove());
     }
 
     /**
@@ -280,15 +750,43 @@ const Visualizer = (function() {
     function handleScopesChange(data, state) {
         const { action, scope, scopes } = data;
 
+        if (action === 'lookup') {
+            showLookupPath(data.name, data.path, data.found);
+            return;
+        }
+
         elements.scopeCount.textContent = scopes.length;
 
         if (action === 'reset' || scopes.length === 0) {
             elements.scopeChain.innerHTML = '<div class="empty-state">No active scopes</div>';
+            scheduleArrowRedraw();
             return;
         }
 
         // Re-render all scopes
         renderScopes(scopes);
+        scheduleArrowRedraw();
+    }
+
+    /**
+     * Animate a name lookup hop by hop along the lexical scope chain
+     */
+    function showLookupPath(name, path, found) {
+        const findCard = id => elements.scopeChain.querySelector(`[data-scope-id="${id}"]`);
+        const cards = path.map(findCard).filter(Boolean);
+        if (cards.length === 0) return;
+
+        Animations.highlightPath(cards, 120).then(() => {
+            // Scopes may have re-rendered meanwhile, so look the last hop up again
+            const lastCard = findCard(path[path.length - 1]);
+            if (!lastCard) return;
+            if (found) {
+                const varEl = lastCard.querySelector(`[data-var-name="${name}"]`);
+                if (varEl) Animations.pulse(varEl, 'rgba(16, 185, 129, 0.6)');
+            } else {
+                Animations.shake(lastCard);
+            }
+        });
     }
 
     /**
@@ -308,7 +806,8 @@ const Visualizer = (function() {
      */
     function createScopeElement(scope, index) {
         const el = document.createElement('div');
-        el.className = 'scope-card' + (scope.type === 'global' ? ' global' : '');
+        el.className = 'scope-card' + (scope.type === 'global' ? ' global' : '') +
+            (scope.retainedBy ? ' retained' : '') + (scope.suspended ? ' suspended' : '');
         el.dataset.scopeId = scope.id;
         el.style.marginLeft = `${index * 12}px`;
 
@@ -317,6 +816,8 @@ const Visualizer = (function() {
         nameEl.innerHTML = `
             ${scope.name}
             <span class="scope-type">${scope.type}</span>
+            ${scope.retainedBy ? `<span class="scope-retained">retained by closure ${scope.retainedBy}</span>` : ''}
+            ${scope.suspended ? '<span class="scope-retained">suspended at await</span>' : ''}
         `;
 
         const varsEl = document.createElement('div');
@@ -324,11 +825,13 @@ const Visualizer = (function() {
 
         Object.entries(scope.variables).forEach(([name, info]) => {
             const varEl = document.createElement('div');
-            varEl.className = 'scope-var';
+            varEl.className = 'scope-var' + (info.uninitialized ? ' tdz' : '');
+            varEl.dataset.varName = name;
+            if (isRef(info.value)) varEl.dataset.ref = info.value.id;
             varEl.innerHTML = `
                 <span class="var-name">${name}</span>
-                <span class="var-type">${info.type}</span>
-                <span class="var-value">${formatScopeValue(info.value)}</span>
+                <span class="var-type">${info.uninitialized ? info.declarationType : info.type}</span>
+                <span class="var-value${isRef(info.value) ? ' ref' : ''}">${escapeHtml(info.uninitialized ? '<uninitialized>' : formatScopeValue(info.value))}</span>
             `;
             varsEl.appendChild(varEl);
         });
@@ -345,10 +848,9 @@ const Visualizer = (function() {
     function formatScopeValue(value) {
         if (value === undefined) return 'undefined';
         if (value === null) return 'null';
-        if (typeof value === 'string') {
-            if (value.startsWith('ref_')) return `<ref:${value}>`;
-            return `"${value}"`;
-        }
+        if (value === StateManager.GLOBAL_OBJECT) return 'window';
+        if (isRef(value)) return `→ ${value.id}`;
+        if (typeof value === 'string') return `"${value}"`;
         if (typeof value === 'object') {
             if (Array.isArray(value)) return `[${value.length}]`;
             return '{...}';
@@ -356,6 +858,20 @@ const Visualizer = (function() {
         return String(value);
     }
 
+    /**
+     * Whether a value is a heap reference
+     */
+    function isRef(value) {
+        return StateManager.isHeapRef(value);
+    }
+
+    /**
+     * Escape text that is inserted into innerHTML
+     */
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
     /**
      * Handle event loop changes
      */
@@ -366,23 +882,35 @@ const Visualizer = (function() {
             elements.webAPIs.innerHTML = '';
             elements.callbackQueue.innerHTML = '';
             elements.microtaskQueue.innerHTML = '';
+            elements.virtualClock.textContent = '0ms';
+            return;
+        }
+
+        // The clock jumped: run it forward and count every pending timer down with it
+        if (action === 'tick') {
+            Animations.countdownTimer(elements.virtualClock, data.previous, data.clock, state.speed);
+            elements.webAPIs.querySelectorAll('.task-timer').forEach(timerEl => {
+                const dueTime = Number(timerEl.dataset.dueTime);
+                Animations.countdownTimer(timerEl, dueTime - data.previous, Math.max(0, dueTime - data.clock), state.speed);
+            });
             return;
         }
 
         // Re-render event loop sections
-        renderEventLoopSection(elements.webAPIs, eventLoop.webAPIs, 'timer');
-        renderEventLoopSection(elements.callbackQueue, eventLoop.callbackQueue, 'callback');
-        renderEventLoopSection(elements.microtaskQueue, eventLoop.microtaskQueue, 'microtask');
+        elements.virtualClock.textContent = `${state.clock}ms`;
+        renderEventLoopSection(elements.webAPIs, eventLoop.webAPIs, 'timer', state.clock);
+        renderEventLoopSection(elements.callbackQueue, eventLoop.callbackQueue, 'callback', state.clock);
+        renderEventLoopSection(elements.microtaskQueue, eventLoop.microtaskQueue, 'microtask', state.clock);
     }
 
     /**
      * Render event loop section
      */
-    function renderEventLoopSection(container, tasks, type) {
+    function renderEventLoopSection(container, tasks, type, clock) {
         container.innerHTML = '';
 
         tasks.forEach(task => {
-            const taskEl = createTaskElement(task, type);
+            const taskEl = createTaskElement(task, type, clock);
             container.appendChild(taskEl);
         });
     }
@@ -390,21 +918,25 @@ const Visualizer = (function() {
     /**
      * Create task DOM element
      */
-    function createTaskElement(task, type) {
+    function createTaskElement(task, type, clock) {
         const el = document.createElement('div');
         el.className = 'event-task' + (type === 'microtask' ? ' microtask' : '');
         el.dataset.taskId = task.id;
 
         const nameSpan = document.createElement('span');
-        nameSpan.textContent = task.name;
+        nameSpan.textContent = task.timerId ? `${task.name} #${task.timerId}` : task.name;
 
         el.appendChild(nameSpan);
 
-        // Add timer for Web API tasks
-        if (type === 'timer' && task.delay) {
+        // Web API timers show the virtual time left until they are due
+        if (type === 'timer' && task.type === 'timer') {
             const timerSpan = document.createElement('span');
             timerSpan.className = 'task-timer';
-            timerSpan.textContent = `${task.delay}ms`;
+            timerSpan.dataset.dueTime = task.dueTime;
+            timerSpan.textContent = `${Math.max(0, task.dueTime - clock)}ms`;
+            timerSpan.title = task.interval
+                ? `Repeats every ${task.delay}ms (run ${task.firings + 1}), next due at ${task.dueTime}ms`
+                : `${task.delay}ms timer, due at ${task.dueTime}ms`;
             el.appendChild(timerSpan);
         }
 
@@ -438,6 +970,42 @@ const Visualizer = (function() {
         });
     }
 
+    /**
+     * Dim source lines of branches that were not taken
+     */
+    function handleBranchesChange(data) {
+        const container = elements.lineHighlight.parentElement;
+        container.querySelectorAll('.skipped-overlay').forEach(el => el.remove());
+
+        const lineHeight = 20.8; // Match CSS line height
+        Object.values(data.skipped).forEach(({ startLine, endLine }) => {
+            const overlay = document.createElement('div');
+            overlay.className = 'skipped-overlay';
+            overlay.style.top = `${(startLine - 1) * lineHeight + 16}px`;
+            overlay.style.height = `${(endLine - startLine + 1) * lineHeight}px`;
+            container.appendChild(overlay);
+        });
+    }
+
+    /**
+     * Show an iteration counter badge on each running loop's line
+     */
+    function handleLoopsChange(data) {
+        const container = elements.lineHighlight.parentElement;
+        container.querySelectorAll('.loop-badge').forEach(el => el.remove());
+
+        const lineHeight = 20.8; // Match CSS line height
+        Object.values(data.iterations).forEach(({ line, count }) => {
+            const badge = document.createElement('div');
+            badge.className = 'loop-badge';
+            badge.textContent = `↻ ${count}`;
+            badge.title = `Iteration ${count}`;
+            badge.style.top = `${(line - 1) * lineHeight + 16}px`;
+            container.appendChild(badge);
+            Animations.scaleBounce(badge);
+        });
+    }
+
     /**
      * Handle console log
      */
@@ -452,7 +1020,7 @@ const Visualizer = (function() {
         prefixEl.textContent = `[${type}]`;
 
         const contentEl = document.createElement('span');
-        contentEl.textContent = args.join(' ');
+        appendConsoleText(contentEl, args.join(' '));
 
         lineEl.appendChild(prefixEl);
         lineEl.appendChild(contentEl);
@@ -461,6 +1029,27 @@ const Visualizer = (function() {
         elements.consoleOutput.scrollTop = elements.consoleOutput.scrollHeight;
     }
 
+    /**
+     * Console text with stack trace lines (`at fn (line 4)`) made clickable:
+     * clicking one moves the editor highlight to that line
+     */
+    function appendConsoleText(contentEl, text) {
+        text.split('\n').forEach((lineText, i) => {
+            if (i > 0) contentEl.appendChild(document.createTextNode('\n'));
+            const match = /^\s+at .*\(line (\d+)\)/.exec(lineText);
+            if (!match) {
+                contentEl.appendChild(document.createTextNode(lineText));
+                return;
+            }
+            const frameEl = document.createElement('span');
+            frameEl.className = 'console-stack-frame';
+            frameEl.textContent = lineText;
+            frameEl.title = `Go to line ${match[1]}`;
+            frameEl.addEventListener('click', () => handleLineChange(Number(match[1])));
+            contentEl.appendChild(frameEl);
+        });
+    }
+
     /**
      * Clear console output
      */
@@ -481,6 +1070,188 @@ const Visualizer = (function() {
             lineEl.textContent = i + 1;
             elements.lineNumbers.appendChild(lineEl);
         });
+
+        renderDiagnostics(lines.length);
+    }
+
+    /**
+     * Show parser diagnostics in the editor gutter
+     * @param {Array} list - Diagnostics from Parser.parse
+     */
+    function showDiagnostics(list) {
+        diagnostics = list;
+        renderDiagnostics(elements.lineNumbers.children.length);
+    }
+
+    /**
+     * Render one gutter row per line, with a marker on lines that have diagnostics
+     */
+    function renderDiagnostics(lineCount) {
+        elements.diagnosticsGutter.innerHTML = '';
+
+        for (let line = 1; line <= lineCount; line++) {
+            const lineEl = document.createElement('div');
+            lineEl.className = 'gutter-line';
+
+            const lineDiagnostics = diagnostics.filter(d => d.line === line);
+            if (lineDiagnostics.length > 0) {
+                const hasError = lineDiagnostics.some(d => d.severity === Parser.Severity.ERROR);
+                const markerEl = document.createElement('span');
+                markerEl.className = `gutter-marker ${hasError ? 'error' : 'warning'}`;
+                markerEl.title = lineDiagnostics
+                    .map(d => `${d.line}:${d.column + 1} ${d.message}`)
+                    .join('\n');
+                lineEl.appendChild(markerEl);
+            }
+
+            elements.diagnosticsGutter.appendChild(lineEl);
+        }
+    }
+
+    /**
+     * Handle heap snapshots: a new one becomes the displayed snapshot and is
+     * compared against the one displayed before it
+     */
+    function handleProfileChange(data) {
+        snapshots = data.snapshots;
+        if (data.action === 'snapshot') {
+            profile = { targetId: data.snapshot.id, baseId: profile.targetId, selectedId: null };
+            toggleProfile(true);
+        } else {
+            profile = { targetId: null, baseId: null, selectedId: null };
+        }
+        renderProfile();
+    }
+
+    /**
+     * Switch the heap panel between the live objects and the memory profile
+     */
+    function toggleProfile(open = elements.heapProfile.hidden) {
+        elements.heapProfile.hidden = !open;
+        elements.memoryHeap.parentElement.hidden = open;
+        scheduleArrowRedraw();
+    }
+
+    /**
+     * Render the memory profile: snapshot pickers, a summary (or the diff
+     * against the base snapshot), per-object sizes and the selected object's
+     * retainer path
+     */
+    function renderProfile() {
+        const container = elements.heapProfile;
+        const target = snapshots.find(snapshot => snapshot.id === profile.targetId);
+        if (!target) {
+            container.innerHTML = '<div class="empty-state">Take a heap snapshot (&#128247;) at any step</div>';
+            return;
+        }
+        const base = snapshots.find(snapshot => snapshot.id === profile.baseId);
+        const diff = base ? Profiler.diffSnapshots(base, target) : null;
+
+        const option = (snapshot, selectedId) => `<option value="${snapshot.id}"${snapshot.id === selectedId ? ' selected' : ''}>` +
+            `${snapshot.label} · step ${snapshot.step}</option>`;
+        container.innerHTML = `
+            <div class="profile-toolbar">
+                <select data-role="target">${snapshots.map(snapshot => option(snapshot, profile.targetId)).join('')}</select>
+                <span>compared to</span>
+                <select data-role="base">
+                    <option value="">(nothing)</option>
+                    ${snapshots.filter(snapshot => snapshot !== target).map(snapshot => option(snapshot, profile.baseId)).join('')}
+                </select>
+            </div>
+            <div class="profile-summary">${formatProfileSummary(target, diff)}</div>
+        `;
+
+        container.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => {
+                const id = select.value ? Number(select.value) : null;
+                profile = select.dataset.role === 'target'
+                    ? { ...profile, targetId: id, baseId: profile.baseId === id ? null : profile.baseId }
+                    : { ...profile, baseId: id };
+                renderProfile();
+            });
+        });
+
+        // Largest retainers first; freed objects (from the base snapshot) last
+        const status = new Map();
+        if (diff) {
+            diff.allocated.forEach(entry => status.set(entry.id, 'allocated'));
+            diff.freed.forEach(entry => status.set(entry.id, 'freed'));
+        }
+        const entries = [...target.entries].sort((a, b) => b.retainedSize - a.retainedSize);
+        if (diff) entries.push(...diff.freed);
+
+        const table = document.createElement('div');
+        table.className = 'profile-table';
+        table.innerHTML = `
+            <div class="profile-row profile-head">
+                <span>Object</span><span>Shallow</span><span>Retained</span>
+            </div>
+        `;
+        entries.forEach(entry => table.appendChild(createProfileRow(entry, status.get(entry.id))));
+        container.appendChild(table);
+
+        const selected = entries.find(entry => entry.id === profile.selectedId);
+        if (selected) container.appendChild(createRetainerPathElement(selected));
+    }
+
+    /**
+     * "5 objects · 412 B", or the allocated/freed/retained counts of a diff
+     */
+    function formatProfileSummary(target, diff) {
+        const count = (entries) => `${entries.length} (${Profiler.formatBytes(entries.reduce((sum, e) => sum + e.shallowSize, 0))})`;
+        if (!diff) {
+            return `${target.entries.length} objects · ${Profiler.formatBytes(target.totalSize)}`;
+        }
+        const delta = `${diff.sizeDelta > 0 ? '+' : ''}${Profiler.formatBytes(diff.sizeDelta)}`;
+        return `<span class="allocated">+${count(diff.allocated)} allocated</span> · ` +
+            `<span class="freed">-${count(diff.freed)} freed</span> · ` +
+            `${diff.retained.length} retained · ${delta}`;
+    }
+
+    /**
+     * One object in the profile table; clicking it shows its retainer path
+     */
+    function createProfileRow(entry, status) {
+        const row = document.createElement('div');
+        row.className = 'profile-row' + (status ? ` ${status}` : '') + (entry.reachable ? '' : ' unreachable') +
+            (entry.id === profile.selectedId ? ' selected' : '');
+        row.dataset.id = entry.id;
+        row.title = entry.reachable ? 'Show retainer path' : 'Unreachable: the next collection frees it';
+        const badge = status === 'allocated' ? '+' : status === 'freed' ? '-' : '';
+        row.innerHTML = `
+            <span class="profile-name">
+                ${badge ? `<span class="diff-badge">${badge}</span>` : ''}
+                ${escapeHtml(entry.name)} <span class="profile-id">${entry.id}</span>
+            </span>
+            <span>${Profiler.formatBytes(entry.shallowSize)}</span>
+            <span>${Profiler.formatBytes(entry.retainedSize)}</span>
+        `;
+        row.addEventListener('click', () => {
+            profile.selectedId = entry.id === profile.selectedId ? null : entry.id;
+            renderProfile();
+        });
+        return row;
+    }
+
+    /**
+     * The chain of references keeping an object alive, from its GC root down
+     */
+    function createRetainerPathElement(entry) {
+        const el = document.createElement('div');
+        el.className = 'retainer-path';
+        if (!entry.retainerPath) {
+            el.innerHTML = `<div class="path-title">${entry.id} is not reachable from any GC root</div>`;
+            return el;
+        }
+
+        const [first, ...rest] = entry.retainerPath;
+        const node = (step) => `${escapeHtml(step.label)} <span class="profile-id">${step.id}</span>`;
+        el.innerHTML = `
+            <div class="path-title">Retainers of ${entry.id}</div>
+            <div class="path-step path-root">${escapeHtml(first.name)}${first.id.startsWith('scope_') ? '' : ` &#8594; ${node(first)}`}</div>
+            ${rest.map(step => `<div class="path-step"><span class="path-edge">${escapeHtml(step.name)}</span> &#8594; ${node(step)}</div>`).join('')}
+        `;
+        return el;
     }
 
     /**
@@ -491,6 +1262,7 @@ const Visualizer = (function() {
         clearConsole();
         elements.lineHighlight.classList.remove('visible');
         heapObjectElements.clear();
+        intrinsicLabels.clear();
         clearArrows();
     }
 
@@ -499,7 +1271,9 @@ const Visualizer = (function() {
         init,
         reset,
         clearConsole,
+        toggleProfile,
         updateLineNumbers,
+        showDiagnostics,
         handleLineChange
     };
 })();